@@ -5,11 +5,12 @@
  * This script initializes all components and handles messaging between them.
  */
 
-import { loadSettings, saveSettings, getDefaultSettings, onSettingsChanged } from '../storage/settings.js';
-import { loadSessionState, onSessionChanged, SessionState, updateSessionState } from '../storage/session.js';
-import { initTimer, startSession, pauseSession, resumeSession, resetSession, handleAlarm, endShortBreak, endLongBreak } from './timer.js';
-import { initNotificationClickHandler, initNotifications, showNotification, NotificationType } from './notification.js';
-import { clearStatistics, getTodayStatistics } from '../storage/statistics.js';
+import { loadSettings, saveSettings, getDefaultSettings, applyPreset, onSettingsChanged } from '../storage/settings.js';
+import { loadSessionState, onSessionChanged, SessionState, updateSessionState, getShortBreakSeconds } from '../storage/session.js';
+import { initTimer, startSession, pauseSession, resumeSession, resetSession, handleAlarm, endShortBreak, endLongBreak, snoozeBreak, skipBreak, replanBreaks, syncBreakWarnings, handleIdleStateChange, reconcileSession } from './timer.js';
+import { initNotificationClickHandler, initNotifications, showNotification, NotificationType, NotificationAction, getNotificationButtonAction } from './notification.js';
+import { clearStatistics, getTodayStatistics, getRecentSessionStarts, getFatigueStatistics, migrateLegacyStatistics } from '../storage/statistics.js';
+import { isScheduleAlarm, syncScheduleAlarms, handleScheduleAlarm, reconcileSchedule } from './scheduler.js';
 
 // Register message listener at the top level to ensure service worker is always listening
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -18,6 +19,43 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true; // Keep the message channel open for async responses
 });
 
+// Register the alarm listener at the top level as well, so an alarm that wakes
+// a suspended service worker (e.g. the end of a long break) is not lost
+chrome.alarms.onAlarm.addListener((alarm) => {
+  console.log('🔔 Alarm triggered:', alarm.name, 'at', new Date().toLocaleTimeString());
+  
+  // Verify the alarm is valid
+  if (!alarm || !alarm.name) {
+    console.error('Invalid alarm received:', alarm);
+    return;
+  }
+  
+  // Process the alarm with detailed logging; working-hours alarms do not
+  // belong to a session and go to the scheduler
+  try {
+    const handler = isScheduleAlarm(alarm.name) ? handleScheduleAlarm : handleAlarm;
+    handler(alarm).then(() => {
+      console.log(`✓ Alarm ${alarm.name} handled successfully`);
+    }).catch(err => {
+      console.error(`✗ Error handling alarm ${alarm.name}:`, err);
+    });
+  } catch (err) {
+    console.error(`✗ Exception while handling alarm ${alarm.name}:`, err);
+  }
+  
+  // List all remaining alarms for debugging
+  chrome.alarms.getAll(alarms => {
+    console.log(`Remaining alarms after handling ${alarm.name}:`, alarms.length, alarms);
+  });
+});
+
+// Register the idle listener at the top level too, so returning to the
+// computer resumes an auto-paused session even after the worker was suspended
+chrome.idle.onStateChanged.addListener((idleState) => {
+  console.log('Idle state changed:', idleState);
+  handleIdleStateChange(idleState).catch(err => console.error('Error handling idle state change:', err));
+});
+
 // Keep track of short break watchdog timer
 let shortBreakWatchdogTimer = null;
 
@@ -27,6 +65,9 @@ let shortBreakWatchdogTimer = null;
 async function initializeExtension() {
   console.log('Random Beep: Initializing extension');
   
+  // Move statistics totals saved by earlier versions into the event ledger
+  await migrateLegacyStatistics();
+  
   // Initialize timer
   await initTimer();
   
@@ -36,36 +77,14 @@ async function initializeExtension() {
   // Initialize notification click handler
   initNotificationClickHandler(handleNotificationClick);
   
-  // Set up alarm listener with explicit binding to ensure it works with ES modules
-  chrome.alarms.onAlarm.addListener((alarm) => {
-    console.log('🔔 Alarm triggered:', alarm.name, 'at', new Date().toLocaleTimeString());
-    
-    // Verify the alarm is valid
-    if (!alarm || !alarm.name) {
-      console.error('Invalid alarm received:', alarm);
-      return;
-    }
-    
-    // Process the alarm with detailed logging
-    try {
-      handleAlarm(alarm).then(() => {
-        console.log(`✓ Alarm ${alarm.name} handled successfully`);
-      }).catch(err => {
-        console.error(`✗ Error handling alarm ${alarm.name}:`, err);
-      });
-    } catch (err) {
-      console.error(`✗ Exception while handling alarm ${alarm.name}:`, err);
-    }
-    
-    // List all remaining alarms for debugging
-    chrome.alarms.getAll(alarms => {
-      console.log(`Remaining alarms after handling ${alarm.name}:`, alarms.length, alarms);
-    });
-  });
-  
   // Start the short break watchdog to ensure breaks don't get stuck
   startShortBreakWatchdog();
   
+  // Make sure the working-hours alarms and idle detection match the settings
+  const settings = await loadSettings();
+  await syncScheduleAlarms(settings);
+  configureIdleDetection(settings);
+  
   // Listen for settings changes
   onSettingsChanged(handleSettingsChanged);
   
@@ -92,7 +111,7 @@ function startShortBreakWatchdog() {
       // If session is in short break state, check how long it's been that way
       if (session && session.state === SessionState.SHORT_BREAK && session.stateStartTime) {
         const settings = await loadSettings();
-        const shortBreakDuration = settings.shortBreakDuration || 10; // Default to 10 seconds
+        const shortBreakDuration = getShortBreakSeconds(session, settings);
         const maxShortBreakTime = shortBreakDuration + 15; // Allow 15 seconds of leeway
         
         const now = Date.now();
@@ -113,6 +132,20 @@ function startShortBreakWatchdog() {
   console.log('Short break watchdog started');
 }
 
+/**
+ * Apply the idle threshold and catch up on an idle state change that was
+ * missed while the browser was closed
+ * @param {Object} settings - User settings
+ */
+function configureIdleDetection(settings) {
+  const thresholdSeconds = settings.idleThresholdMinutes * 60;
+  chrome.idle.setDetectionInterval(thresholdSeconds);
+  
+  chrome.idle.queryState(thresholdSeconds, (idleState) => {
+    handleIdleStateChange(idleState).catch(err => console.error('Error handling idle state:', err));
+  });
+}
+
 /**
  * Handle extension installation or update
  * @param {Object} details - Installation details
@@ -194,6 +227,24 @@ function handleMessage(message, sender, sendResponse) {
         });
         return true;
       
+      case 'snoozeBreak':
+        snoozeBreak(message.minutes).then(session => {
+          try { sendResponse(session); } catch (e) { console.error(e); }
+        }).catch(err => {
+          console.error('Error snoozing break:', err);
+          try { sendResponse({error: 'Failed to snooze break'}); } catch (e) {}
+        });
+        return true;
+      
+      case 'skipBreak':
+        skipBreak().then(session => {
+          try { sendResponse(session); } catch (e) { console.error(e); }
+        }).catch(err => {
+          console.error('Error skipping break:', err);
+          try { sendResponse({error: 'Failed to skip break'}); } catch (e) {}
+        });
+        return true;
+      
       case 'saveSettings':
         if (message.settings) {
           saveSettings(message.settings).then(savedSettings => {
@@ -209,6 +260,20 @@ function handleMessage(message, sender, sendResponse) {
         }
         return true;
         
+      case 'applyPreset':
+        loadSettings().then(settings => {
+          if (!settings.presets.some(preset => preset.id === message.presetId)) {
+            throw new Error(`Unknown preset: ${message.presetId}`);
+          }
+          return saveSettings(applyPreset(settings, message.presetId));
+        }).then(savedSettings => {
+          try { sendResponse({success: true, settings: savedSettings}); } catch (e) { console.error(e); }
+        }).catch(err => {
+          console.error('Error applying preset:', err);
+          try { sendResponse({error: 'Failed to apply preset'}); } catch (e) {}
+        });
+        return true;
+        
       case 'resetSettings':
         const defaultSettings = getDefaultSettings();
         saveSettings(defaultSettings).then(() => {
@@ -245,6 +310,33 @@ function handleMessage(message, sender, sendResponse) {
         });
         return true;
         
+      case 'getStatisticsData':
+        import('../storage/statistics.js').then(({ loadStatistics }) => loadStatistics()).then(stats => {
+          try { sendResponse(stats); } catch (e) { console.error(e); }
+        }).catch(err => {
+          console.error('Error loading statistics data:', err);
+          try { sendResponse({error: 'Failed to load statistics'}); } catch (e) {}
+        });
+        return true;
+        
+      case 'getFocusSinceLongBreak':
+        getFatigueStatistics().then(({ focusSinceLongBreak }) => {
+          try { sendResponse({ focusSinceLongBreak }); } catch (e) {}
+        }).catch(err => {
+          console.error('Error loading focus since the last long break:', err);
+          try { sendResponse({error: 'Failed to load focus since the last long break'}); } catch (e) {}
+        });
+        return true;
+        
+      case 'getBreakDiagnostics':
+        Promise.all([loadSessionState(), getRecentSessionStarts()]).then(([session, sessionStarts]) => {
+          try { sendResponse({ session, sessionStarts }); } catch (e) {}
+        }).catch(err => {
+          console.error('Error loading break diagnostics:', err);
+          try { sendResponse({error: 'Failed to load break diagnostics'}); } catch (e) {}
+        });
+        return true;
+        
       case 'getStatistics':
         import('../storage/statistics.js').then(async ({ getTodayStatistics, getThisWeekStatistics }) => {
           try {
@@ -292,13 +384,29 @@ function handleMessage(message, sender, sendResponse) {
 function handleNotificationClick(notificationId, buttonIndex) {
   console.log('Random Beep: Notification clicked', notificationId, buttonIndex !== undefined ? `button: ${buttonIndex}` : '');
   
+  const button = buttonIndex !== undefined ? getNotificationButtonAction(notificationId, buttonIndex) : null;
+  
   // Handle long break end button click
-  if (buttonIndex === 0 && notificationId.includes(NotificationType.LONG_BREAK)) {
+  if (button && button.action === NotificationAction.END_BREAK) {
     console.log('Long break end button clicked, ending long break');
     endLongBreak().catch(err => console.error('Error ending long break:', err));
     return;
   }
   
+  // Handle skip break button click
+  if (button && button.action === NotificationAction.SKIP_BREAK) {
+    console.log('Skip break button clicked, skipping break');
+    skipBreak().catch(err => console.error('Error skipping break:', err));
+    return;
+  }
+  
+  // Handle snooze button click
+  if (button && button.action === NotificationAction.SNOOZE) {
+    console.log(`Snooze button clicked, postponing break by ${button.minutes} minutes`);
+    snoozeBreak(button.minutes).catch(err => console.error('Error snoozing break:', err));
+    return;
+  }
+  
   // Open the popup when notification is clicked (default behavior)
   chrome.action.openPopup();
 }
@@ -310,6 +418,19 @@ function handleNotificationClick(notificationId, buttonIndex) {
 function handleSettingsChanged(newSettings) {
   console.log('Random Beep: Settings changed', newSettings);
   
+  // Follow changes to the working-hours schedule
+  syncScheduleAlarms(newSettings).catch(err => console.error('Error updating working-hours alarms:', err));
+  
+  // Follow changes to the idle threshold
+  configureIdleDetection(newSettings);
+  
+  // Re-plan the running session's breaks, unless changes wait for the next session;
+  // the warnings before them follow the new plan and warning settings
+  const replan = newSettings.replanOnSettingsChange ? replanBreaks() : Promise.resolve();
+  replan
+    .then(() => syncBreakWarnings())
+    .catch(err => console.error('Error re-planning breaks:', err));
+  
   // Notify popup of settings change
   chrome.runtime.sendMessage({
     type: 'settingsChanged',
@@ -346,5 +467,11 @@ initializeExtension();
 // Listen for installation events
 chrome.runtime.onInstalled.addListener(handleInstalled);
 
-// Listen for startup events
-chrome.runtime.onStartup.addListener(initializeExtension);
+// Listen for startup events; the module has already initialized itself, so
+// only replay what happened to the session while the browser was closed and
+// catch up on working hours that started or ended in the meantime
+chrome.runtime.onStartup.addListener(() => {
+  reconcileSession()
+    .then(() => reconcileSchedule())
+    .catch(err => console.error('Error reconciling session on startup:', err));
+});
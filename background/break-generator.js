@@ -1,86 +1,28 @@
 /**
  * break-generator.js
  * 
- * This module implements the random break algorithm:
- * - Generating random break times based on settings
- * - Ensuring proper spacing between breaks
+ * This module schedules the random breaks of a session:
+ * - Generating break times with the strategy chosen in the settings
  * - Scheduling breaks with the alarm API
+ * - Restoring, suspending and clearing break alarms
+ * - Scheduling the warning sound shortly before each break
  */
 
-import { loadSettings } from '../storage/settings.js';
-
-/**
- * Generate random break times for a given period
- * @param {number} periodMinutes - Period duration in minutes
- * @param {Date} sessionStartTime - The timestamp when the session started
- * @returns {Array<number>} Array of break times in milliseconds since epoch
- */
-function generateRandomBreakTimes(periodMinutes, sessionStartTime) {
-  console.log(`Generating breaks for ${periodMinutes} minute period`);
-  
-  // Convert period to seconds
-  const periodSeconds = periodMinutes * 60;
-  
-  // Get the session start time in milliseconds
-  const startTimeMs = sessionStartTime instanceof Date ? 
-    sessionStartTime.getTime() : 
-    (typeof sessionStartTime === 'number' ? sessionStartTime : Date.now());
-  
-  console.log(`Session start time: ${new Date(startTimeMs).toLocaleTimeString()}`);
-  
-  // Calculate end time
-  const endTimeMs = startTimeMs + (periodSeconds * 1000);
-  console.log(`Session end time: ${new Date(endTimeMs).toLocaleTimeString()}`);
-  
-  // For short periods (5 mins), we want 1 break
-  // For medium periods (10-30 mins), we want approximately 1 break every 5 minutes
-  // For longer periods, we scale appropriately
-  
-  // Determine number of breaks based on period length
-  let numberOfBreaks = Math.max(1, Math.floor(periodMinutes / 5));
-  
-  console.log(`Planning to schedule ${numberOfBreaks} breaks for this session`);
-  
-  // Ensure we have a reasonable limit
-  numberOfBreaks = Math.min(numberOfBreaks, 12); // Cap at 12 breaks max
-  
-  const breakTimes = [];
-  const segmentDuration = periodSeconds / (numberOfBreaks + 1); // +1 to create segments between breaks
-  
-  // Create breaks with some randomness within each segment
-  for (let i = 1; i <= numberOfBreaks; i++) {
-    // Calculate segment boundaries
-    const segmentStart = startTimeMs + ((i - 0.5) * segmentDuration * 1000);
-    const segmentEnd = startTimeMs + (i * segmentDuration * 1000);
-    
-    // Add randomness within the segment (plus/minus 15% of segment duration)
-    const randomOffset = (Math.random() - 0.5) * (0.3 * segmentDuration * 1000);
-    
-    // Calculate break time and ensure it's within the session
-    let breakTime = segmentStart + randomOffset;
-    
-    // Ensure the break is at least 30 seconds after start and 30 seconds before end
-    const minBreakTime = startTimeMs + 30000;
-    const maxBreakTime = endTimeMs - 30000;
-    
-    breakTime = Math.max(minBreakTime, Math.min(maxBreakTime, breakTime));
-    
-    breakTimes.push(breakTime);
-    console.log(`Break #${i}: ${new Date(breakTime).toLocaleTimeString()} (${Math.round((breakTime - startTimeMs) / 60000)} mins after start)`);
-  }
-  
-  // Sort break times in chronological order
-  breakTimes.sort((a, b) => a - b);
-  return breakTimes;
-}
+import { loadSettings, SoundEvent } from '../storage/settings.js';
+import { getFatigueStatistics } from '../storage/statistics.js';
+import { getBreakPlanInput, generateRandomBreakTimes, generateBreakTimes, getStoredPlanInput, getFatigueFactor } from './break-strategies.js';
+import { generateSeed, createSeededRandom } from '../utils/random.js';
 
 /**
  * Schedule random breaks using the chrome.alarms API
  * @param {string} sessionId - Current session ID
  * @param {number} sessionStartTime - Session start time in milliseconds
- * @returns {Promise<Array<number>>} Promise that resolves with array of scheduled break times
+ * @param {number} [seed] - Seed for the break times; a new one by default
+ * @returns {Promise<Object>} Promise that resolves with the break plan
+ *   ({ shortBreakTimes, longBreakTime, seed, planInput, adaptation }) so it
+ *   can be stored on the session and generated again later
  */
-async function scheduleRandomBreaks(sessionId, sessionStartTime) {
+async function scheduleRandomBreaks(sessionId, sessionStartTime, seed = generateSeed()) {
   // Get settings
   const settings = await loadSettings();
   console.log('Loaded settings for break scheduling:', settings);
@@ -91,31 +33,16 @@ async function scheduleRandomBreaks(sessionId, sessionStartTime) {
   // Generate break times based on session start time
   const startTime = sessionStartTime || Date.now();
   
-  // Ensure we use a valid short period duration (minimum 1 minute)
-  const shortPeriodDuration = Math.max(1, settings.shortPeriodDuration || 5);
-  
-  // Calculate how many short periods fit within the long period duration
-  const longPeriodDuration = settings.longPeriodDuration || 90;
-  const numberOfShortPeriods = Math.floor(longPeriodDuration / shortPeriodDuration);
-  
-  console.log(`Scheduling breaks for ${numberOfShortPeriods} short periods of ${shortPeriodDuration} minutes each`);
+  // Breaks are planned over the whole focus period up to the long break
+  // Adaptive breaks get more frequent with the focus accumulated before this session,
+  // and cumulative long breaks count it towards the focus period
+  const fatigue = await getFatigueStatistics();
+  const fatigueFactor = getFatigueFactor(settings, fatigue);
   
-  // Generate and schedule breaks for each short period
-  let allBreakTimes = [];
-  
-  for (let periodIndex = 0; periodIndex < numberOfShortPeriods; periodIndex++) {
-    // Calculate the start time for this period
-    const periodStartTime = startTime + (periodIndex * shortPeriodDuration * 60 * 1000);
-    
-    // Generate breaks for this period
-    const periodBreakTimes = generateRandomBreakTimes(shortPeriodDuration, periodStartTime);
-    
-    // Add to the aggregate list
-    allBreakTimes = allBreakTimes.concat(periodBreakTimes);
-  }
+  console.log(`Scheduling breaks with the ${settings.breakStrategy} strategy, ${settings.breaksPerHour * fatigueFactor} per hour on average, seed ${seed}`);
   
-  // Sort all break times chronologically
-  allBreakTimes.sort((a, b) => a - b);
+  const planInput = getBreakPlanInput(settings, startTime, createSeededRandom(seed), fatigueFactor, fatigue.focusSinceLongBreak);
+  const allBreakTimes = generateBreakTimes(settings.breakStrategy, planInput);
   
   // Debug: List all alarms after clearing
   chrome.alarms.getAll(alarms => {
@@ -126,9 +53,15 @@ async function scheduleRandomBreaks(sessionId, sessionStartTime) {
   console.log(`Scheduling ${allBreakTimes.length} short breaks for session ${sessionId}`);
   
   for (let i = 0; i < allBreakTimes.length; i++) {
-    const alarmName = `${sessionId}_short_break_${i}`;
+    const alarmName = getShortBreakAlarmName(sessionId, i);
     const scheduledTime = new Date(allBreakTimes[i]);
     
+    // A session started in the past does not catch up on breaks already due
+    if (allBreakTimes[i] <= Date.now()) {
+      console.log(`Short break #${i+1}: already past due at ${scheduledTime.toLocaleTimeString()}, not scheduled`);
+      continue;
+    }
+    
     console.log(`Short break #${i+1}: scheduling for ${scheduledTime.toLocaleTimeString()}`);
     
     try {
@@ -152,8 +85,8 @@ async function scheduleRandomBreaks(sessionId, sessionStartTime) {
   }
   
   // Also schedule the long break
-  const longBreakAlarmName = `${sessionId}_long_break`;
-  const longBreakTimeMs = startTime + (settings.longPeriodDuration * 60 * 1000);
+  const longBreakAlarmName = getLongBreakAlarmName(sessionId);
+  const longBreakTimeMs = planInput.endTime;
   
   console.log(`Scheduling long break at ${new Date(longBreakTimeMs).toLocaleTimeString()}`);
   
@@ -175,6 +108,9 @@ async function scheduleRandomBreaks(sessionId, sessionStartTime) {
     console.error(`Error creating long break alarm:`, err);
   }
   
+  // Warnings are only scheduled while the warning sound is on
+  await restoreBreakWarnings(sessionId, allBreakTimes, longBreakTimeMs, settings, new Set());
+  
   // Final verification of all alarms
   setTimeout(() => {
     chrome.alarms.getAll(alarms => {
@@ -185,7 +121,150 @@ async function scheduleRandomBreaks(sessionId, sessionStartTime) {
     });
   }, 1000);
   
-  return allBreakTimes;
+  return {
+    shortBreakTimes: allBreakTimes,
+    longBreakTime: longBreakTimeMs,
+    seed,
+    planInput: getStoredPlanInput(settings.breakStrategy, planInput),
+    adaptation: { ...fatigue, factor: fatigueFactor }
+  };
+}
+
+/**
+ * Clear the pending short and long break alarms of a session while keeping
+ * its break plan, so the schedule can be re-created later (e.g. on resume)
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<number>} Promise that resolves with the number of alarms cleared
+ */
+async function suspendBreakAlarms(sessionId) {
+  const alarms = await new Promise(resolve => chrome.alarms.getAll(resolve));
+  const breakAlarms = alarms.filter(alarm =>
+    alarm.name.startsWith(sessionId) &&
+    (isShortBreakAlarm(alarm.name) || isLongBreakAlarm(alarm.name) || isBreakWarningAlarm(alarm.name))
+  );
+  
+  await Promise.all(breakAlarms.map(alarm => {
+    return new Promise(resolve => chrome.alarms.clear(alarm.name, () => resolve()));
+  }));
+  
+  return breakAlarms.length;
+}
+
+/**
+ * Re-create break alarms that are still in the future but no longer exist,
+ * e.g. because the browser dropped them on restart, together with the
+ * warnings before them
+ * @param {string} sessionId - Session ID
+ * @param {Array<number>} shortBreakTimes - Planned short break times in milliseconds
+ * @param {number} longBreakTime - Planned long break time in milliseconds
+ * @param {number} [lastBreakTime=Infinity] - When the session's latest short break
+ *   started; past-due breaks planned after it were missed, earlier ones already
+ *   fired. Without it no break counts as missed.
+ * @returns {Promise<Object>} Promise that resolves with { restored, missed } alarm counts
+ */
+async function restoreMissingAlarms(sessionId, shortBreakTimes, longBreakTime, lastBreakTime = Infinity) {
+  const alarms = await new Promise(resolve => chrome.alarms.getAll(resolve));
+  const existing = new Set(alarms.map(alarm => alarm.name));
+  const now = Date.now();
+  let restored = 0;
+  let missed = 0;
+  
+  for (let i = 0; i < shortBreakTimes.length; i++) {
+    const alarmName = getShortBreakAlarmName(sessionId, i);
+    if (existing.has(alarmName)) {
+      continue;
+    }
+    if (shortBreakTimes[i] > now) {
+      await createAlarm(alarmName, shortBreakTimes[i]);
+      restored++;
+    } else if (shortBreakTimes[i] > lastBreakTime) {
+      missed++;
+    }
+  }
+  
+  const longBreakAlarmName = getLongBreakAlarmName(sessionId);
+  if (longBreakTime > now && !existing.has(longBreakAlarmName)) {
+    await createAlarm(longBreakAlarmName, longBreakTime);
+    restored++;
+  }
+  
+  const settings = await loadSettings();
+  restored += await restoreBreakWarnings(sessionId, shortBreakTimes, longBreakTime, settings, existing);
+  
+  return { restored, missed };
+}
+
+/**
+ * Get how long before a break its warning sound plays
+ * @param {Object} settings - User settings
+ * @returns {number} Lead time in milliseconds, 0 while the warning sound is off
+ */
+function getBreakWarningLeadMs(settings) {
+  const warning = settings.eventSounds[SoundEvent.PRE_BREAK_WARNING];
+  return settings.notificationSound && warning.enabled ? settings.preBreakWarningSeconds * 1000 : 0;
+}
+
+/**
+ * Create the warning alarms of breaks that are still ahead and have none
+ * @param {string} sessionId - Session ID
+ * @param {Array<number>} shortBreakTimes - Planned short break times in milliseconds
+ * @param {number} longBreakTime - Planned long break time in milliseconds
+ * @param {Object} settings - User settings
+ * @param {Set<string>} existing - Names of the alarms that already exist
+ * @returns {Promise<number>} Promise that resolves with the number of alarms created
+ */
+async function restoreBreakWarnings(sessionId, shortBreakTimes, longBreakTime, settings, existing) {
+  const leadMs = getBreakWarningLeadMs(settings);
+  if (!leadMs) {
+    return 0;
+  }
+  
+  const warnings = shortBreakTimes.map((time, index) => [getBreakWarningAlarmName(sessionId, index), time - leadMs]);
+  if (longBreakTime) {
+    warnings.push([getLongBreakWarningAlarmName(sessionId), longBreakTime - leadMs]);
+  }
+  
+  const now = Date.now();
+  let created = 0;
+  for (const [alarmName, when] of warnings) {
+    if (when > now && !existing.has(alarmName)) {
+      await createAlarm(alarmName, when);
+      created++;
+    }
+  }
+  return created;
+}
+
+/**
+ * Clear the warning alarms of a session, e.g. after the warning settings changed
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<number>} Promise that resolves with the number of alarms cleared
+ */
+async function clearBreakWarnings(sessionId) {
+  const alarms = await new Promise(resolve => chrome.alarms.getAll(resolve));
+  const warningAlarms = alarms.filter(alarm => alarm.name.startsWith(sessionId) && isBreakWarningAlarm(alarm.name));
+  
+  await Promise.all(warningAlarms.map(alarm => {
+    return new Promise(resolve => chrome.alarms.clear(alarm.name, () => resolve()));
+  }));
+  
+  return warningAlarms.length;
+}
+
+/**
+ * Clear break alarms that belong to any session other than the given one
+ * @param {string} sessionId - ID of the session whose alarms should be kept
+ * @returns {Promise<number>} Promise that resolves with the number of alarms cleared
+ */
+async function clearOrphanedAlarms(sessionId) {
+  const alarms = await new Promise(resolve => chrome.alarms.getAll(resolve));
+  const orphaned = alarms.filter(alarm => isSessionAlarm(alarm.name) && !alarm.name.startsWith(sessionId));
+  
+  await Promise.all(orphaned.map(alarm => {
+    return new Promise(resolve => chrome.alarms.clear(alarm.name, () => resolve()));
+  }));
+  
+  return orphaned.length;
 }
 
 /**
@@ -209,13 +288,127 @@ function clearSessionAlarms(sessionId) {
   });
 }
 
+/**
+ * Create a single alarm that fires at an exact time
+ * @param {string} alarmName - Name of the alarm
+ * @param {number} when - Time in milliseconds since epoch
+ * @returns {Promise<string>} Promise that resolves with the alarm name
+ */
+function createAlarm(alarmName, when) {
+  return new Promise((resolve) => {
+    chrome.alarms.create(alarmName, { when }, () => {
+      if (chrome.runtime.lastError) {
+        console.error(`Error creating alarm ${alarmName}:`, chrome.runtime.lastError);
+      } else {
+        console.log(`✓ Alarm ${alarmName} scheduled for ${new Date(when).toLocaleTimeString()}`);
+      }
+      resolve(alarmName);
+    });
+  });
+}
+
+/**
+ * Schedule the alarm that ends the current short break.
+ * Alarms persist across service worker restarts, so the break still ends
+ * if the worker is evicted while it is running.
+ * @param {string} sessionId - Current session ID
+ * @param {number} endTime - Break end time in milliseconds since epoch
+ * @returns {Promise<string>} Promise that resolves with the alarm name
+ */
+function scheduleShortBreakEnd(sessionId, endTime) {
+  return createAlarm(`${sessionId}_short_break_end`, endTime);
+}
+
+/**
+ * Schedule the alarm that ends the current long break
+ * @param {string} sessionId - Current session ID
+ * @param {number} endTime - Break end time in milliseconds since epoch
+ * @returns {Promise<string>} Promise that resolves with the alarm name
+ */
+function scheduleLongBreakEnd(sessionId, endTime) {
+  return createAlarm(`${sessionId}_long_break_end`, endTime);
+}
+
+/**
+ * Clear the short break end alarm for a session
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} Promise that resolves with whether an alarm was cleared
+ */
+function clearShortBreakEnd(sessionId) {
+  return new Promise((resolve) => {
+    chrome.alarms.clear(`${sessionId}_short_break_end`, (wasCleared) => resolve(wasCleared));
+  });
+}
+
+/**
+ * Schedule a snoozed short break again. The break is added to the session's
+ * plan under a new index, so it is suspended and restored like any other.
+ * @param {string} sessionId - Current session ID
+ * @param {number} index - Index of the break in the session's plan
+ * @param {number} when - New break time in milliseconds since epoch
+ * @returns {Promise<string>} Promise that resolves with the alarm name
+ */
+function scheduleSnoozedShortBreak(sessionId, index, when) {
+  return createAlarm(getShortBreakAlarmName(sessionId, index), when);
+}
+
+/**
+ * Schedule a snoozed long break again, replacing the alarm that would
+ * have ended the current one
+ * @param {string} sessionId - Current session ID
+ * @param {number} when - New break time in milliseconds since epoch
+ * @returns {Promise<string>} Promise that resolves with the alarm name
+ */
+async function scheduleSnoozedLongBreak(sessionId, when) {
+  await new Promise(resolve => chrome.alarms.clear(`${sessionId}_long_break_end`, () => resolve()));
+  return createAlarm(getLongBreakAlarmName(sessionId), when);
+}
+
+/**
+ * Get the alarm name for a planned short break
+ * @param {string} sessionId - Session ID
+ * @param {number} index - Index of the break in the session's plan
+ * @returns {string} Alarm name
+ */
+function getShortBreakAlarmName(sessionId, index) {
+  return `${sessionId}_short_break_${index}`;
+}
+
+/**
+ * Get the alarm name for a session's long break
+ * @param {string} sessionId - Session ID
+ * @returns {string} Alarm name
+ */
+function getLongBreakAlarmName(sessionId) {
+  return `${sessionId}_long_break`;
+}
+
+/**
+ * Get the alarm name for the warning before a planned short break
+ * @param {string} sessionId - Session ID
+ * @param {number} index - Index of the break in the session's plan
+ * @returns {string} Alarm name
+ */
+function getBreakWarningAlarmName(sessionId, index) {
+  return `${sessionId}_short_break_warning_${index}`;
+}
+
+/**
+ * Get the alarm name for the warning before a session's long break
+ * @param {string} sessionId - Session ID
+ * @returns {string} Alarm name
+ */
+function getLongBreakWarningAlarmName(sessionId) {
+  return `${sessionId}_long_break_warning`;
+}
+
 /**
  * Check if an alarm is a short break alarm
  * @param {string} alarmName - Name of the alarm
  * @returns {boolean} True if alarm is a short break alarm
  */
 function isShortBreakAlarm(alarmName) {
-  return alarmName.includes('_short_break_');
+  return /_short_break_\d+$/.test(alarmName);
 }
 
 /**
@@ -224,7 +417,47 @@ function isShortBreakAlarm(alarmName) {
  * @returns {boolean} True if alarm is a long break alarm
  */
 function isLongBreakAlarm(alarmName) {
-  return alarmName.includes('_long_break');
+  return alarmName.endsWith('_long_break');
+}
+
+/**
+ * Check if an alarm ends a short break
+ * @param {string} alarmName - Name of the alarm
+ * @returns {boolean} True if alarm is a short break end alarm
+ */
+function isShortBreakEndAlarm(alarmName) {
+  return alarmName.endsWith('_short_break_end');
+}
+
+/**
+ * Check if an alarm ends a long break
+ * @param {string} alarmName - Name of the alarm
+ * @returns {boolean} True if alarm is a long break end alarm
+ */
+function isLongBreakEndAlarm(alarmName) {
+  return alarmName.endsWith('_long_break_end');
+}
+
+/**
+ * Check if an alarm plays the warning before a short or long break
+ * @param {string} alarmName - Name of the alarm
+ * @returns {boolean} True if alarm is a break warning alarm
+ */
+function isBreakWarningAlarm(alarmName) {
+  return /_short_break_warning_\d+$/.test(alarmName) || alarmName.endsWith('_long_break_warning');
+}
+
+/**
+ * Check if an alarm is one of the break alarms scheduled for a session
+ * @param {string} alarmName - Name of the alarm
+ * @returns {boolean} True if alarm belongs to a session's break plan
+ */
+function isSessionAlarm(alarmName) {
+  return isShortBreakAlarm(alarmName) ||
+    isLongBreakAlarm(alarmName) ||
+    isShortBreakEndAlarm(alarmName) ||
+    isLongBreakEndAlarm(alarmName) ||
+    isBreakWarningAlarm(alarmName);
 }
 
 /**
@@ -240,8 +473,21 @@ function getSessionIdFromAlarm(alarmName) {
 export {
   generateRandomBreakTimes,
   scheduleRandomBreaks,
+  restoreMissingAlarms,
+  clearBreakWarnings,
+  suspendBreakAlarms,
+  clearOrphanedAlarms,
   clearSessionAlarms,
+  scheduleShortBreakEnd,
+  scheduleLongBreakEnd,
+  clearShortBreakEnd,
+  scheduleSnoozedShortBreak,
+  scheduleSnoozedLongBreak,
   isShortBreakAlarm,
   isLongBreakAlarm,
+  isShortBreakEndAlarm,
+  isLongBreakEndAlarm,
+  isBreakWarningAlarm,
+  isSessionAlarm,
   getSessionIdFromAlarm
 };
@@ -0,0 +1,449 @@
+/**
+ * break-strategies.js
+ *
+ * This module implements the break scheduling strategies:
+ * - Segment jitter, the original algorithm
+ * - Fixed interval
+ * - Poisson arrivals with exponential gaps
+ * - A fixed number of uniformly placed breaks with a minimum gap
+ *
+ * Every strategy is a pure function with the same input and output, so it
+ * can be tested without the alarm API:
+ *   strategy(input) => Array<number>
+ * where input is the object built by getBreakPlanInput():
+ * - startTime: start of the focus period in milliseconds since epoch
+ * - endTime: end of the focus period (the long break) in milliseconds
+ * - periodMinutes: length of the short periods segment jitter works in;
+ *   breaksPerHour decides how many breaks each of them gets, which may be none
+ * - breaksPerHour: average number of breaks per hour of focus
+ * - minGapMinutes, maxGapMinutes: allowed distance between two breaks
+ * - startQuietMinutes, endQuietMinutes: no breaks this close to the start
+ *   of the focus period or to the long break
+ * - random: function returning a number in [0, 1), Math.random by default
+ * The result holds the break times in milliseconds, in chronological order.
+ * generateBreakTimes() applies the quiet zones and gap limits afterwards, so
+ * strategies only have to get the density right.
+ *
+ * Sessions draw their random numbers from a seeded generator and store the
+ * seed with the input (see getStoredPlanInput()), so regenerateBreakTimes()
+ * can reproduce any session's schedule exactly.
+ *
+ * The length of each short break is chosen when it starts, see
+ * getShortBreakDuration(). With adaptive breaks, getFatigueFactor() raises
+ * the break frequency and length with accumulated focus. With cumulative
+ * long breaks, getFocusPeriodMs() shortens the focus period by the focus
+ * since the last long break taken.
+ */
+
+import { BreakStrategy, ShortBreakLength } from '../storage/settings.js';
+import { createSeededRandom } from '../utils/random.js';
+
+// Breaks keep this distance from the edges of each segment-jitter period
+const EDGE_MARGIN_MS = 30000;
+
+// Shortest focus period, for a long break that is already due when it starts
+const MIN_FOCUS_PERIOD_MS = 60000;
+
+// Keeps rounding errors from losing a break when a count is whole, e.g. 5 * 12 / 60
+const COUNT_EPSILON = 1e-9;
+
+/**
+ * Get the length of the focus period up to the long break. With cumulative
+ * long breaks the focus since the last long break taken counts towards it,
+ * so resetting or restarting a session does not postpone the long break.
+ * @param {Object} settings - User settings
+ * @param {number} [carriedFocus=0] - Focus since the last long break before
+ *   this period started, in seconds
+ * @returns {number} Focus period in milliseconds
+ */
+function getFocusPeriodMs(settings, carriedFocus = 0) {
+  const periodMs = settings.longPeriodDuration * 60 * 1000;
+  if (!settings.cumulativeLongBreaks) {
+    return periodMs;
+  }
+  return Math.max(MIN_FOCUS_PERIOD_MS, periodMs - (carriedFocus * 1000));
+}
+
+/**
+ * Build the strategy input for a focus period from the settings
+ * @param {Object} settings - User settings
+ * @param {number} startTime - Start of the focus period in milliseconds
+ * @param {Function} [random=Math.random] - Source of random numbers in [0, 1)
+ * @param {number} [fatigueFactor=1] - Factor for the break frequency, see getFatigueFactor()
+ * @param {number} [carriedFocus=0] - Focus since the last long break in seconds, see getFocusPeriodMs()
+ * @returns {Object} Strategy input, see the module comment
+ */
+function getBreakPlanInput(settings, startTime, random = Math.random, fatigueFactor = 1, carriedFocus = 0) {
+  return {
+    startTime,
+    endTime: startTime + getFocusPeriodMs(settings, carriedFocus),
+    periodMinutes: Math.max(1, settings.shortPeriodDuration),
+    breaksPerHour: settings.breaksPerHour * fatigueFactor,
+    minGapMinutes: settings.minBreakGap,
+    maxGapMinutes: settings.maxBreakGap,
+    startQuietMinutes: settings.startQuietMinutes,
+    endQuietMinutes: settings.endQuietMinutes,
+    random
+  };
+}
+
+/**
+ * Generate random break times for a given period
+ * @param {number} periodMinutes - Period duration in minutes
+ * @param {Date} sessionStartTime - The timestamp when the session started
+ * @param {number} [breaksPerHour=12] - Average number of breaks per hour
+ * @param {Function} [random=Math.random] - Source of random numbers in [0, 1)
+ * @returns {Array<number>} Array of break times in milliseconds since epoch
+ */
+function generateRandomBreakTimes(periodMinutes, sessionStartTime, breaksPerHour = 12, random = Math.random) {
+  console.log(`Generating breaks for ${periodMinutes} minute period`);
+
+  // Convert period to seconds
+  const periodSeconds = periodMinutes * 60;
+
+  // Get the session start time in milliseconds
+  const startTimeMs = sessionStartTime instanceof Date ?
+    sessionStartTime.getTime() :
+    (typeof sessionStartTime === 'number' ? sessionStartTime : Date.now());
+
+  console.log(`Session start time: ${new Date(startTimeMs).toLocaleTimeString()}`);
+
+  // Calculate end time
+  const endTimeMs = startTimeMs + (periodSeconds * 1000);
+  console.log(`Session end time: ${new Date(endTimeMs).toLocaleTimeString()}`);
+
+  // Determine number of breaks based on period length; a period shorter than
+  // the average gap between breaks gets none
+  const numberOfBreaks = Math.floor(periodMinutes * breaksPerHour / 60 + COUNT_EPSILON);
+
+  return jitterBreaksInPeriod(startTimeMs, endTimeMs, numberOfBreaks, random);
+}
+
+/**
+ * Place breaks in a period, each jittered by ±15% inside its own segment
+ * @param {number} startTimeMs - Start of the period in milliseconds
+ * @param {number} endTimeMs - End of the period in milliseconds
+ * @param {number} numberOfBreaks - Number of breaks to place
+ * @param {Function} random - Source of random numbers in [0, 1)
+ * @returns {Array<number>} Break times in milliseconds, in chronological order
+ */
+function jitterBreaksInPeriod(startTimeMs, endTimeMs, numberOfBreaks, random) {
+  const periodSeconds = (endTimeMs - startTimeMs) / 1000;
+  console.log(`Planning to schedule ${numberOfBreaks} breaks for this period`);
+
+  const breakTimes = [];
+  const segmentDuration = periodSeconds / (numberOfBreaks + 1); // +1 to create segments between breaks
+
+  // Create breaks with some randomness within each segment
+  for (let i = 1; i <= numberOfBreaks; i++) {
+    // Calculate segment boundaries
+    const segmentStart = startTimeMs + ((i - 0.5) * segmentDuration * 1000);
+    const segmentEnd = startTimeMs + (i * segmentDuration * 1000);
+
+    // Add randomness within the segment (plus/minus 15% of segment duration)
+    const randomOffset = (random() - 0.5) * (0.3 * segmentDuration * 1000);
+
+    // Calculate break time and ensure it's within the session
+    let breakTime = segmentStart + randomOffset;
+
+    // Ensure the break is at least 30 seconds after start and 30 seconds before end
+    const minBreakTime = startTimeMs + EDGE_MARGIN_MS;
+    const maxBreakTime = endTimeMs - EDGE_MARGIN_MS;
+
+    breakTime = Math.max(minBreakTime, Math.min(maxBreakTime, breakTime));
+
+    breakTimes.push(breakTime);
+    console.log(`Break #${i}: ${new Date(breakTime).toLocaleTimeString()} (${Math.round((breakTime - startTimeMs) / 60000)} mins after start)`);
+  }
+
+  // Sort break times in chronological order
+  breakTimes.sort((a, b) => a - b);
+  return breakTimes;
+}
+
+/**
+ * Segment jitter: split the focus period into short periods and jitter
+ * breaks by ±15% inside equal segments of each one. The average number of
+ * breaks per period is usually not whole; the fraction left over is carried
+ * to the next period, so some periods get one break more and, below one
+ * break per period, some get none.
+ * @param {Object} input - Strategy input, see the module comment
+ * @returns {Array<number>} Break times in milliseconds
+ */
+function segmentJitterStrategy({ startTime, endTime, periodMinutes, breaksPerHour, random = Math.random }) {
+  const periodMs = periodMinutes * 60 * 1000;
+  const numberOfPeriods = Math.floor((endTime - startTime) / periodMs);
+  const breaksPerPeriod = periodMinutes * breaksPerHour / 60;
+  let carried = 0;
+  let breakTimes = [];
+
+  for (let periodIndex = 0; periodIndex < numberOfPeriods; periodIndex++) {
+    const periodStartTime = startTime + (periodIndex * periodMs);
+    carried += breaksPerPeriod;
+    const numberOfBreaks = Math.floor(carried + COUNT_EPSILON);
+    carried -= numberOfBreaks;
+    breakTimes = breakTimes.concat(jitterBreaksInPeriod(periodStartTime, periodStartTime + periodMs, numberOfBreaks, random));
+  }
+
+  return breakTimes.sort((a, b) => a - b);
+}
+
+/**
+ * Fixed interval: a break every interval, without randomness
+ * @param {Object} input - Strategy input, see the module comment
+ * @returns {Array<number>} Break times in milliseconds
+ */
+function fixedIntervalStrategy({ startTime, endTime, breaksPerHour }) {
+  const intervalMs = 3600000 / breaksPerHour;
+  const breakTimes = [];
+
+  for (let time = startTime + intervalMs; time < endTime; time += intervalMs) {
+    breakTimes.push(time);
+  }
+
+  return breakTimes;
+}
+
+/**
+ * Poisson arrivals: gaps between breaks are exponentially distributed with
+ * the interval as their mean, so a break is equally likely at any moment
+ * @param {Object} input - Strategy input, see the module comment
+ * @returns {Array<number>} Break times in milliseconds
+ */
+function poissonStrategy({ startTime, endTime, breaksPerHour, random = Math.random }) {
+  const meanGapMs = 3600000 / breaksPerHour;
+  const breakTimes = [];
+  let time = startTime;
+
+  while (true) {
+    // 1 - random() is in (0, 1], which keeps the logarithm finite
+    time += -Math.log(1 - random()) * meanGapMs;
+    if (time >= endTime) {
+      break;
+    }
+    breakTimes.push(Math.round(time));
+  }
+
+  return breakTimes;
+}
+
+/**
+ * Uniform with minimum gap: the average number of breaks for the focus
+ * period, placed uniformly at random inside the quiet zones but never closer
+ * than the minimum gap
+ * @param {Object} input - Strategy input, see the module comment
+ * @returns {Array<number>} Break times in milliseconds
+ */
+function uniformMinGapStrategy({ startTime, endTime, breaksPerHour, minGapMinutes, startQuietMinutes, endQuietMinutes, random = Math.random }) {
+  const minGapMs = minGapMinutes * 60 * 1000;
+  const windowStart = startTime + startQuietMinutes * 60 * 1000;
+  const windowLength = (endTime - endQuietMinutes * 60 * 1000) - windowStart;
+  if (windowLength < 0) {
+    return [];
+  }
+
+  // Fewer breaks if the gaps would not fit otherwise
+  let numberOfBreaks = Math.floor((endTime - startTime) * breaksPerHour / 3600000);
+  if (minGapMs > 0) {
+    numberOfBreaks = Math.min(numberOfBreaks, Math.floor(windowLength / minGapMs) + 1);
+  }
+  if (numberOfBreaks <= 0) {
+    return [];
+  }
+
+  // Place the breaks in the window shortened by all gaps, then add the gaps
+  // back in order; this keeps the placement uniform among valid schedules
+  const freeLength = windowLength - (numberOfBreaks - 1) * minGapMs;
+  const offsets = [];
+  for (let i = 0; i < numberOfBreaks; i++) {
+    offsets.push(random() * freeLength);
+  }
+  offsets.sort((a, b) => a - b);
+
+  return offsets.map((offset, i) => Math.round(windowStart + offset + i * minGapMs));
+}
+
+/**
+ * Keep breaks out of the quiet zones and within the gap limits. Breaks that
+ * come too soon after the previous one are dropped; gaps that are too long,
+ * including the one after the quiet zone at the start, are split evenly.
+ * When the minimum gap is more than half the maximum gap, a long gap may not
+ * be splittable, and the minimum gap wins.
+ * @param {Array<number>} breakTimes - Break times in chronological order
+ * @param {Object} input - Strategy input, see the module comment
+ * @returns {Array<number>} Adjusted break times in chronological order
+ */
+function applyBreakLimits(breakTimes, input) {
+  const windowStart = input.startTime + input.startQuietMinutes * 60 * 1000;
+  const windowEnd = input.endTime - input.endQuietMinutes * 60 * 1000;
+  const minGapMs = input.minGapMinutes * 60 * 1000;
+  const maxGapMs = input.maxGapMinutes * 60 * 1000;
+
+  const inWindow = breakTimes.filter(time => time >= windowStart && time <= windowEnd);
+
+  // Drop breaks that are too close to the previous one
+  const spaced = [];
+  inWindow.forEach(time => {
+    if (spaced.length === 0 || time - spaced[spaced.length - 1] >= minGapMs) {
+      spaced.push(time);
+    }
+  });
+
+  // Fill gaps that are too long; the session start counts as the previous break
+  const limited = [];
+  let previous = input.startTime;
+  spaced.concat(windowEnd).forEach((time, index, all) => {
+    const isEnd = index === all.length - 1;
+    const gap = time - previous;
+    if (gap > maxGapMs) {
+      const parts = Math.ceil(gap / maxGapMs);
+      const step = gap / parts;
+      if (step >= minGapMs) {
+        for (let part = 1; part < parts; part++) {
+          const fillIn = Math.round(previous + part * step);
+          if (fillIn >= windowStart) {
+            limited.push(fillIn);
+          }
+        }
+      }
+    }
+    if (!isEnd) {
+      limited.push(time);
+    }
+    previous = time;
+  });
+
+  return limited;
+}
+
+/**
+ * Strategies by ID
+ */
+const BREAK_STRATEGIES = {
+  [BreakStrategy.SEGMENT_JITTER]: segmentJitterStrategy,
+  [BreakStrategy.FIXED_INTERVAL]: fixedIntervalStrategy,
+  [BreakStrategy.POISSON]: poissonStrategy,
+  [BreakStrategy.UNIFORM_MIN_GAP]: uniformMinGapStrategy
+};
+
+/**
+ * Get a strategy by ID
+ * @param {string} strategyId - Strategy ID from BreakStrategy
+ * @returns {Function} The strategy; segment jitter for unknown IDs
+ */
+function getBreakStrategy(strategyId) {
+  return BREAK_STRATEGIES[strategyId] || segmentJitterStrategy;
+}
+
+/**
+ * Generate break times with a strategy
+ * @param {string} strategyId - Strategy ID from BreakStrategy
+ * @param {Object} input - Strategy input, see the module comment
+ * @returns {Array<number>} Break times in milliseconds, in chronological order
+ */
+function generateBreakTimes(strategyId, input) {
+  const breakTimes = applyBreakLimits(getBreakStrategy(strategyId)(input), input);
+  console.log(`Strategy ${strategyId} planned ${breakTimes.length} breaks`);
+  return breakTimes;
+}
+
+/**
+ * Choose the length of a short break
+ * @param {Object} settings - User settings
+ * @param {number} focusSincePrevious - Focus time since the previous break in milliseconds
+ * @param {Function} [random=Math.random] - Source of random numbers in [0, 1)
+ * @returns {number} Break length in whole seconds
+ */
+function getShortBreakDuration(settings, focusSincePrevious, random = Math.random) {
+  const min = settings.shortBreakMinDuration;
+  const max = settings.shortBreakMaxDuration;
+
+  switch (settings.shortBreakLengthMode) {
+    case ShortBreakLength.RANGE:
+      return Math.round(min + random() * (max - min));
+    case ShortBreakLength.PROPORTIONAL: {
+      // shortBreakDuration is the length after an average gap between breaks
+      const averageGapMs = 3600000 / settings.breaksPerHour;
+      const scaled = settings.shortBreakDuration * (focusSincePrevious / averageGapMs);
+      return Math.round(Math.min(max, Math.max(min, scaled)));
+    }
+    default:
+      return settings.shortBreakDuration;
+  }
+}
+
+/**
+ * Get how much more frequent and longer breaks become with accumulated
+ * focus. Every hour of focus today beyond the free hours and every hour since
+ * the last long break adds the configured percentage, up to the maximum.
+ * The frequency is raised once, when the session's breaks are planned, by
+ * multiplying breaksPerHour; every strategy turns that into more breaks
+ * (segment jitter through the fraction it carries between periods). The
+ * length of each break follows the focus up to the moment it starts.
+ * @param {Object} settings - User settings
+ * @param {Object|null} fatigue - { focusToday, focusSinceLongBreak } in seconds
+ * @returns {number} Factor of 1 or more; 1 when adaptive breaks are off
+ */
+function getFatigueFactor(settings, fatigue) {
+  if (!settings.adaptiveBreaksEnabled || !fatigue) {
+    return 1;
+  }
+  const hours = Math.max(0, fatigue.focusToday / 3600 - settings.adaptiveFreeHours) +
+    fatigue.focusSinceLongBreak / 3600;
+  return 1 + Math.min(settings.adaptiveMaxIncrease, hours * settings.adaptiveIncreasePerHour) / 100;
+}
+
+/**
+ * Get the part of a strategy input that can be stored with a session:
+ * everything except the random number source, plus the strategy ID
+ * @param {string} strategyId - Strategy ID from BreakStrategy
+ * @param {Object} input - Strategy input, see the module comment
+ * @returns {Object} Plain object that survives chrome.storage
+ */
+function getStoredPlanInput(strategyId, input) {
+  const { random, ...storedInput } = input;
+  return { strategy: strategyId, ...storedInput };
+}
+
+/**
+ * Check whether two stored inputs describe the same schedule
+ * @param {Object} a - Input from getStoredPlanInput()
+ * @param {Object} b - Input from getStoredPlanInput()
+ * @returns {boolean} True if every field is equal
+ */
+function isSamePlanInput(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+
+/**
+ * Generate a stored schedule again. With the seed the schedule was made with,
+ * the result is identical to the original plan (before pauses or snoozes
+ * moved any break).
+ * @param {Object} storedInput - Input from getStoredPlanInput()
+ * @param {number} seed - Seed of the random numbers
+ * @returns {Array<number>} Break times in milliseconds, in chronological order
+ */
+function regenerateBreakTimes(storedInput, seed) {
+  const { strategy, ...input } = storedInput;
+  return generateBreakTimes(strategy, { ...input, random: createSeededRandom(seed) });
+}
+
+// Export the module's public API
+export {
+  getFocusPeriodMs,
+  getBreakPlanInput,
+  generateRandomBreakTimes,
+  segmentJitterStrategy,
+  fixedIntervalStrategy,
+  poissonStrategy,
+  uniformMinGapStrategy,
+  applyBreakLimits,
+  getShortBreakDuration,
+  getFatigueFactor,
+  getBreakStrategy,
+  generateBreakTimes,
+  getStoredPlanInput,
+  isSamePlanInput,
+  regenerateBreakTimes
+};
@@ -7,7 +7,10 @@
  * - Handling notification clicks
  */
 
-import { loadSettings } from '../storage/settings.js';
+import { loadSettings, SoundEvent } from '../storage/settings.js';
+import { isCustomSound } from '../storage/custom-sounds.js';
+import { isTonePattern, getTonePatternId } from '../utils/tone-patterns.js';
+import { BUNDLED_SOUNDS, DEFAULT_SOUND_FILE, isBundledSound } from '../utils/sound-registry.js';
 import { languageManager } from '../utils/language-manager.js'; // Import languageManager
 
 // Constants for offscreen document
@@ -21,31 +24,40 @@ const NotificationType = {
   SHORT_BREAK: 'shortBreak',
   SHORT_BREAK_END: 'shortBreakEnd',
   LONG_BREAK: 'longBreak',
+  LONG_BREAK_END: 'longBreakEnd',
+  NEXT_CYCLE: 'nextCycle',
+  BREAK_REMINDER: 'breakReminder',
   SESSION_COMPLETE: 'sessionComplete'
 };
 
 /**
- * Available sound files in the extension
+ * Actions offered as notification buttons
  */
-const AVAILABLE_SOUNDS = [
-  "mixkit-bell-notification-933.wav",
-  "mixkit-clear-announce-tones-2861.wav",
-  "mixkit-confirmation-tone-2867.wav",
-  "mixkit-correct-answer-reward-952.wav",
-  "mixkit-correct-answer-tone-2870.wav",
-  "mixkit-doorbell-tone-2864.wav",
-  "mixkit-guitar-notification-alert-2320.wav",
-  "mixkit-happy-bells-notification-937.wav",
-  "mixkit-long-pop-2358.wav",
-  "mixkit-magic-marimba-2820.wav",
-  "mixkit-message-pop-alert-2354.mp3",
-  "mixkit-positive-notification-951.wav",
-  "mixkit-sci-fi-click-900.wav",
-  "mixkit-sci-fi-confirmation-914.wav",
-  "mixkit-software-interface-back-2575.wav",
-  "mixkit-software-interface-start-2574.wav",
-  "mixkit-tile-game-reveal-960.wav"
-];
+const NotificationAction = {
+  END_BREAK: 'endBreak',
+  SKIP_BREAK: 'skipBreak',
+  SNOOZE: 'snooze'
+};
+
+/**
+ * Snooze length offered for each break type, in minutes; the popup offers the same
+ */
+const SNOOZE_MINUTES = {
+  short: 2,
+  long: 5
+};
+
+/**
+ * Sound event of each notification type; break reminders are silent
+ */
+const NOTIFICATION_SOUND_EVENTS = {
+  [NotificationType.SHORT_BREAK]: SoundEvent.SHORT_BREAK,
+  [NotificationType.SHORT_BREAK_END]: SoundEvent.SHORT_BREAK_END,
+  [NotificationType.LONG_BREAK]: SoundEvent.LONG_BREAK,
+  [NotificationType.LONG_BREAK_END]: SoundEvent.LONG_BREAK_END,
+  [NotificationType.NEXT_CYCLE]: SoundEvent.LONG_BREAK_END,
+  [NotificationType.SESSION_COMPLETE]: SoundEvent.SESSION_COMPLETE
+};
 
 // Store notification click handler
 let notificationClickCallback = null;
@@ -58,26 +70,96 @@ let notificationClickCallback = null;
 function validateSoundFile(filename) {
   // If no filename provided, return default
   if (!filename) {
-    return "mixkit-message-pop-alert-2354.mp3";
+    return DEFAULT_SOUND_FILE;
   }
   
-  // If the file exists in our list, use it
-  if (AVAILABLE_SOUNDS.includes(filename)) {
+  // If the file is in the sound registry, use it; custom sounds are checked
+  // when the offscreen document loads them and tone patterns when they play
+  if (isBundledSound(filename) || isCustomSound(filename) || isTonePattern(filename)) {
     return filename;
   }
   
   // Try to find a similar sound based on name
   const baseName = filename.replace(/\.[^/.]+$/, ""); // Remove extension
-  for (const sound of AVAILABLE_SOUNDS) {
-    if (sound.includes(baseName)) {
-      console.log(`Found similar sound file: ${sound} for requested: ${filename}`);
-      return sound;
-    }
+  const similarSound = BUNDLED_SOUNDS.find(sound => sound.file.includes(baseName));
+  if (similarSound) {
+    console.log(`Found similar sound file: ${similarSound.file} for requested: ${filename}`);
+    return similarSound.file;
   }
   
   // Fallback to default
   console.warn(`Sound file "${filename}" not found, using default`);
-  return "mixkit-message-pop-alert-2354.mp3";
+  return DEFAULT_SOUND_FILE;
+}
+
+/**
+ * Get the buttons shown on a notification. Snooze buttons always come last,
+ * so a button index maps to the same action whether or not they are shown.
+ * @param {string} type - Notification type
+ * @param {boolean} allowSnooze - Whether the break can still be snoozed
+ * @returns {Array<Object>} Buttons as { action, minutes } in display order
+ */
+function getNotificationButtons(type, allowSnooze) {
+  // Notifications have room for two buttons, so each break offers one snooze
+  // length here; the popup offers all of them
+  switch (type) {
+    case NotificationType.SHORT_BREAK:
+      return [{ action: NotificationAction.SKIP_BREAK }].concat(
+        allowSnooze ? [{ action: NotificationAction.SNOOZE, minutes: SNOOZE_MINUTES.short }] : []
+      );
+    case NotificationType.LONG_BREAK:
+      return [{ action: NotificationAction.END_BREAK }].concat(
+        allowSnooze ? [{ action: NotificationAction.SNOOZE, minutes: SNOOZE_MINUTES.long }] : []
+      );
+    default:
+      return [];
+  }
+}
+
+/**
+ * Get the localized title of a notification button
+ * @param {Object} button - Button as { action, minutes }
+ * @returns {string} Button title
+ */
+function getNotificationButtonTitle(button) {
+  switch (button.action) {
+    case NotificationAction.SNOOZE:
+      return languageManager.get("notificationSnoozeButton", [String(button.minutes)]);
+    case NotificationAction.SKIP_BREAK:
+      return languageManager.get("notificationSkipBreakButton");
+    default:
+      return languageManager.get("notificationEndBreakButton");
+  }
+}
+
+/**
+ * Get the action of a clicked notification button
+ * @param {string} notificationId - ID of the clicked notification
+ * @param {number} buttonIndex - Index of the clicked button
+ * @returns {Object|null} The button as { action, minutes }, or null if unknown
+ */
+function getNotificationButtonAction(notificationId, buttonIndex) {
+  const type = notificationId.split('-')[0];
+  return getNotificationButtons(type, true)[buttonIndex] || null;
+}
+
+/**
+ * Clear all visible notifications of a type, e.g. a break that was snoozed
+ * @param {string} type - Notification type
+ * @returns {Promise} Promise that resolves when the notifications are cleared
+ */
+function clearNotifications(type) {
+  if (!chrome.notifications) {
+    return Promise.resolve();
+  }
+  
+  return new Promise((resolve) => {
+    chrome.notifications.getAll((notifications) => {
+      const ids = Object.keys(notifications || {}).filter(id => id.startsWith(type + '-'));
+      Promise.all(ids.map(id => new Promise(done => chrome.notifications.clear(id, () => done()))))
+        .then(() => resolve());
+    });
+  });
 }
 
 /**
@@ -178,7 +260,11 @@ async function initNotifications() {
 /**
  * Create and show a notification
  * @param {string} type - Notification type
- * @param {Object} options - Additional notification options
+ * @param {Object} options - Additional notification options; set allowSnooze
+ *   to offer snooze buttons on a break notification, duration for the length
+ *   of a short break in seconds, extended to announce a
+ *   long break as the extended break of a plan, and cycle and totalCycles for
+ *   the next cycle of a plan
  * @returns {Promise} Promise that resolves when notification is shown
  */
 async function showNotification(type, options = {}) {
@@ -195,16 +281,35 @@ async function showNotification(type, options = {}) {
     case NotificationType.SHORT_BREAK:
       titleKey = 'notificationShortBreakTitle';
       messageKey = 'notificationShortBreakMessage';
-      messageSubstitutions = [String(settings.shortBreakDuration)];
+      messageSubstitutions = [String(options.duration || settings.shortBreakDuration)];
       break;
     case NotificationType.SHORT_BREAK_END:
       titleKey = 'notificationShortBreakEndTitle';
       messageKey = 'notificationShortBreakEndMessage';
       break;
     case NotificationType.LONG_BREAK:
-      titleKey = 'notificationLongBreakTitle';
-      messageKey = 'notificationLongBreakMessage';
-      messageSubstitutions = [String(settings.longBreakDuration)];
+      if (options.extended) {
+        titleKey = 'notificationExtendedBreakTitle';
+        messageKey = 'notificationExtendedBreakMessage';
+        messageSubstitutions = [String(settings.extendedBreakDuration)];
+      } else {
+        titleKey = 'notificationLongBreakTitle';
+        messageKey = 'notificationLongBreakMessage';
+        messageSubstitutions = [String(settings.longBreakDuration)];
+      }
+      break;
+    case NotificationType.LONG_BREAK_END:
+      titleKey = 'notificationLongBreakEndTitle';
+      messageKey = 'notificationLongBreakEndMessage';
+      break;
+    case NotificationType.NEXT_CYCLE:
+      titleKey = 'notificationNextCycleTitle';
+      messageKey = 'notificationNextCycleMessage';
+      messageSubstitutions = [String(options.cycle), String(options.totalCycles)];
+      break;
+    case NotificationType.BREAK_REMINDER:
+      titleKey = 'notificationBreakReminderTitle';
+      messageKey = 'notificationBreakReminderMessage';
       break;
     case NotificationType.SESSION_COMPLETE:
       titleKey = 'notificationSessionCompleteTitle';
@@ -236,7 +341,9 @@ async function showNotification(type, options = {}) {
       
       // Create the notification
       const notificationId = type + '-' + Date.now();
-      const endBreakButtonTitle = languageManager.get("notificationEndBreakButton");
+      const buttons = getNotificationButtons(type, Boolean(options.allowSnooze)).map(button => ({
+        title: getNotificationButtonTitle(button)
+      }));
 
       chrome.notifications.create(notificationId, {
         type: 'basic',
@@ -245,7 +352,8 @@ async function showNotification(type, options = {}) {
         iconUrl: chrome.runtime.getURL(iconUrl),
         priority: type === NotificationType.LONG_BREAK ? 2 : 0,
         requireInteraction: type === NotificationType.LONG_BREAK,
-        buttons: type === NotificationType.LONG_BREAK ? [{ title: endBreakButtonTitle }] : []
+        silent: type === NotificationType.BREAK_REMINDER,
+        buttons
       }, (createdId) => {
         if (chrome.runtime.lastError) {
           console.error('Error creating notification:', chrome.runtime.lastError);
@@ -261,67 +369,61 @@ async function showNotification(type, options = {}) {
     }
   });
   
-  const soundPromise = playNotificationSound(type, settings);
-  
-  // Wait for both notification and sound to complete (or fail gracefully)
-  try {
-    const [notificationResult, soundResult] = await Promise.all([
-      notificationPromise,
-      soundPromise
-    ]);
-    return notificationResult; // Return the notification ID if successful
-  } catch (error) {
-    console.error('Error showing notification or playing sound:', error);
-    return null;
+  // Reminders are meant to be gentle, so they come without a sound. The
+  // sound is not waited for: with fade-in and repeats it can take most of a
+  // minute, and callers go on to save the session and schedule the break end
+  const soundEvent = NOTIFICATION_SOUND_EVENTS[type];
+  if (soundEvent) {
+    playNotificationSound(soundEvent, settings).catch(error => {
+      console.error('Error playing notification sound:', error);
+    });
   }
+  
+  return notificationPromise; // Resolves with the notification ID if successful
 }
 
 /**
- * Play a notification sound using the offscreen document
- * @param {string} type - Notification type
+ * Play the sound of an event using the offscreen document
+ * @param {string} event - Sound event from SoundEvent
  * @param {Object} settings - User settings
  */
-async function playNotificationSound(type, settings) {
+async function playNotificationSound(event, settings) {
   // Determine which sound file to play
-  let soundFile;
-  switch (type) {
-    case NotificationType.SHORT_BREAK:
-      soundFile = settings.shortBreakSound || "mixkit-message-pop-alert-2354.mp3";
-      break;
-    case NotificationType.SHORT_BREAK_END:
-      soundFile = settings.shortBreakSound || "mixkit-software-interface-back-2575.wav";
-      break;
-    case NotificationType.LONG_BREAK:
-      soundFile = settings.longBreakSound || "mixkit-correct-answer-tone-2870.wav";
-      break;
-    default:
-      soundFile = "mixkit-message-pop-alert-2354.mp3";
+  const eventSound = settings.eventSounds[event];
+  if (!settings.notificationSound || !eventSound || !eventSound.enabled) {
+    console.log(`Sound for ${event} is turned off`);
+    return;
+  }
+  
+  // Ensure the sound file is valid; a tone pattern that was deleted plays the default sound
+  let soundFile = validateSoundFile(eventSound.sound);
+  const tonePatternId = getTonePatternId(soundFile);
+  const tonePattern = tonePatternId
+    ? settings.tonePatterns.find(pattern => pattern.id === tonePatternId) || null
+    : null;
+  if (tonePatternId && !tonePattern) {
+    soundFile = validateSoundFile(null);
   }
   
-  // Ensure the sound file is valid
-  soundFile = validateSoundFile(soundFile);
-  console.log(`Selected sound file for ${type}: ${soundFile}`);
+  // The master volume scales the event's own volume
+  const playback = {
+    volume: (settings.masterVolume / 100) * (eventSound.volume / 100),
+    fadeInSeconds: settings.soundFadeInSeconds,
+    repeat: event === SoundEvent.LONG_BREAK ? settings.longBreakSoundRepeats : 1,
+    tonePattern
+  };
+  console.log(`Selected sound file for ${event}: ${soundFile}`, playback);
   
-  // Try playing with offscreen document first
+  // Try playing with offscreen document first; a custom sound that was
+  // deleted or cannot be decoded falls back to the default sound
   const hasOffscreen = await createOffscreenDocument();
+  const soundFiles = isCustomSound(soundFile) ? [soundFile, validateSoundFile(null)] : [soundFile];
   
   if (hasOffscreen) {
-    try {
-      // Send message to offscreen document to play sound
-      console.log(`Sending play-sound message to offscreen document for: ${soundFile}`);
-      const response = await chrome.runtime.sendMessage({
-        action: 'play-sound',
-        soundFile: soundFile
-      });
-      
-      if (response && response.success) {
-        console.log('Sound played successfully via offscreen document');
+    for (const file of soundFiles) {
+      if (await playOffscreenSound(file, playback)) {
         return;
-      } else {
-        console.warn('Offscreen document failed to play sound:', response?.error);
       }
-    } catch (error) {
-      console.error('Error communicating with offscreen document:', error);
     }
   }
   
@@ -329,13 +431,56 @@ async function playNotificationSound(type, settings) {
   try {
     if (chrome.tts) {
       console.log('Falling back to TTS for sound');
-      chrome.tts.speak(`Alert: ${type}`, { rate: 1.0 });
+      chrome.tts.speak(`Alert: ${event}`, { rate: 1.0, volume: playback.volume });
     }
   } catch (error) {
     console.error('Error using TTS fallback:', error);
   }
 }
 
+/**
+ * Ask the offscreen document to play a sound
+ * @param {string} soundFile - File name of a bundled sound or a custom sound setting value
+ * @param {Object} playback - Playback options
+ * @param {number} playback.volume - Volume from 0 to 1
+ * @param {number} playback.fadeInSeconds - Fade-in length; 0 starts at full volume
+ * @param {number} playback.repeat - Number of times the sound plays
+ * @param {Object|null} playback.tonePattern - Pattern to synthesize when soundFile refers to a tone pattern
+ * @returns {Promise<boolean>} True if the sound was played
+ */
+async function playOffscreenSound(soundFile, { volume, fadeInSeconds, repeat, tonePattern }) {
+  try {
+    // Send message to offscreen document to play sound
+    console.log(`Sending play-sound message to offscreen document for: ${soundFile}`);
+    const response = await chrome.runtime.sendMessage({
+      action: 'play-sound',
+      soundFile: soundFile,
+      volume,
+      fadeInSeconds,
+      repeat,
+      tonePattern
+    });
+    
+    if (response && response.success) {
+      console.log('Sound played successfully via offscreen document');
+      return true;
+    }
+    console.warn('Offscreen document failed to play sound:', response?.error);
+  } catch (error) {
+    console.error('Error communicating with offscreen document:', error);
+  }
+  return false;
+}
+
+/**
+ * Play the warning sound shortly before a break; it comes without a notification
+ * @returns {Promise} Promise that resolves when the sound is played
+ */
+async function playBreakWarning() {
+  const settings = await loadSettings();
+  return playNotificationSound(SoundEvent.PRE_BREAK_WARNING, settings);
+}
+
 /**
  * Initialize notification click handler
  * @param {Function} callback - Function to call when notification is clicked
@@ -369,8 +514,13 @@ async function closeOffscreenDocument() {
 // Export the module's public API
 export {
   NotificationType,
+  NotificationAction,
+  SNOOZE_MINUTES,
   initNotifications,
   showNotification,
+  getNotificationButtonAction,
+  clearNotifications,
+  playBreakWarning,
   initNotificationClickHandler,
   closeOffscreenDocument
 };
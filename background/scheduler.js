@@ -0,0 +1,224 @@
+/**
+ * scheduler.js
+ *
+ * This module implements the working-hours schedule:
+ * - Creating recurring alarms for the start and end of working hours
+ * - Starting scheduled sessions when working hours begin
+ * - Stopping scheduled sessions when working hours end
+ */
+
+import { loadSettings } from '../storage/settings.js';
+import { SessionState, SessionOrigin } from '../storage/session.js';
+import { startSession, resetSession, reconcileSession } from './timer.js';
+
+// Prefix of all working-hours alarms; session alarms start with a session ID instead
+const SCHEDULE_ALARM_PREFIX = 'workingHours_';
+
+// Working-hours alarms repeat every week
+const MINUTES_PER_WEEK = 7 * 24 * 60;
+
+/**
+ * Convert a "HH:MM" time of day to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number} Minutes after midnight
+ */
+function parseTimeOfDay(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Get the next time a weekday and time of day occur in local time
+ * @param {number} day - Weekday, 0 = Sunday
+ * @param {string} time - Time of day as "HH:MM"
+ * @param {number} [from=Date.now()] - Time to search from in milliseconds since epoch
+ * @returns {number} Next occurrence after `from` in milliseconds since epoch
+ */
+function getNextOccurrence(day, time, from = Date.now()) {
+  const minutes = parseTimeOfDay(time);
+  const date = new Date(from);
+  date.setHours(Math.floor(minutes / 60), minutes % 60, 0, 0);
+  date.setDate(date.getDate() + ((day - date.getDay() + 7) % 7));
+
+  if (date.getTime() <= from) {
+    date.setDate(date.getDate() + 7);
+  }
+
+  return date.getTime();
+}
+
+/**
+ * Check whether a time falls within the configured working hours
+ * @param {Object} settings - User settings
+ * @param {number} [time=Date.now()] - Time in milliseconds since epoch
+ * @returns {boolean} True if the schedule is enabled and the time is inside a range
+ */
+function isWithinWorkingHours(settings, time = Date.now()) {
+  if (!settings.workingHoursEnabled) {
+    return false;
+  }
+
+  const date = new Date(time);
+  const minutes = date.getHours() * 60 + date.getMinutes();
+
+  return settings.workingHours.some(range =>
+    range.days.includes(date.getDay()) &&
+    minutes >= parseTimeOfDay(range.start) &&
+    minutes < parseTimeOfDay(range.end)
+  );
+}
+
+/**
+ * Check if an alarm belongs to the working-hours schedule
+ * @param {string} alarmName - Name of the alarm
+ * @returns {boolean} True if it's a working-hours alarm
+ */
+function isScheduleAlarm(alarmName) {
+  return alarmName.startsWith(SCHEDULE_ALARM_PREFIX);
+}
+
+/**
+ * Check if a working-hours alarm marks the start of working hours
+ * @param {string} alarmName - Name of the alarm
+ * @returns {boolean} True if it's a start alarm
+ */
+function isScheduleStartAlarm(alarmName) {
+  return alarmName.startsWith(`${SCHEDULE_ALARM_PREFIX}start_`);
+}
+
+/**
+ * Clear all working-hours alarms
+ * @returns {Promise<number>} Promise that resolves with the number of cleared alarms
+ */
+async function clearScheduleAlarms() {
+  const alarms = await new Promise(resolve => chrome.alarms.getAll(resolve));
+  const scheduleAlarms = alarms.filter(alarm => isScheduleAlarm(alarm.name));
+
+  await Promise.all(scheduleAlarms.map(alarm => {
+    return new Promise(resolve => chrome.alarms.clear(alarm.name, () => resolve()));
+  }));
+
+  return scheduleAlarms.length;
+}
+
+/**
+ * Re-create the recurring alarms for the working-hours schedule.
+ * Every range gets a start and an end alarm per weekday that repeat weekly;
+ * they are re-created after each firing so daylight saving changes do not
+ * shift them off the configured local time.
+ * @param {Object} settings - User settings
+ * @returns {Promise<number>} Promise that resolves with the number of created alarms
+ */
+async function syncScheduleAlarms(settings) {
+  await clearScheduleAlarms();
+
+  if (!settings.workingHoursEnabled) {
+    console.log('Working hours are disabled, no schedule alarms created');
+    return 0;
+  }
+
+  const now = Date.now();
+  const creations = [];
+
+  settings.workingHours.forEach((range, index) => {
+    range.days.forEach(day => {
+      ['start', 'end'].forEach(edge => {
+        const alarmName = `${SCHEDULE_ALARM_PREFIX}${edge}_${index}_${day}`;
+        const when = getNextOccurrence(day, range[edge], now);
+        creations.push(new Promise(resolve => {
+          chrome.alarms.create(alarmName, { when, periodInMinutes: MINUTES_PER_WEEK }, () => resolve());
+        }));
+      });
+    });
+  });
+
+  await Promise.all(creations);
+  console.log(`Created ${creations.length} working-hours alarms`);
+  return creations.length;
+}
+
+/**
+ * Start a scheduled session, unless a session is already running
+ * @param {Object} session - Current session object
+ * @returns {Promise<Object>} Promise that resolves with the current session
+ */
+async function startScheduledSession(session) {
+  if (session.state !== SessionState.IDLE) {
+    console.log(`Working hours started, but a ${session.origin || SessionOrigin.MANUAL} session is already running`);
+    return session;
+  }
+
+  console.log('Working hours started, starting scheduled session');
+  return startSession(null, SessionOrigin.SCHEDULED);
+}
+
+/**
+ * Stop a scheduled session; manual sessions keep running
+ * @param {Object} session - Current session object
+ * @returns {Promise<Object>} Promise that resolves with the current session
+ */
+async function stopScheduledSession(session) {
+  if (session.state === SessionState.IDLE || session.origin !== SessionOrigin.SCHEDULED) {
+    return session;
+  }
+
+  console.log('Working hours ended, stopping scheduled session');
+  return resetSession();
+}
+
+/**
+ * Handle a working-hours alarm
+ * @param {Object} alarm - Alarm object
+ * @returns {Promise} Promise that resolves when the alarm is handled
+ */
+async function handleScheduleAlarm(alarm) {
+  console.log('Handling working-hours alarm:', alarm.name);
+
+  try {
+    const settings = await loadSettings();
+
+    if (settings.workingHoursEnabled) {
+      const session = await reconcileSession();
+
+      if (isScheduleStartAlarm(alarm.name)) {
+        await startScheduledSession(session);
+      } else if (!isWithinWorkingHours(settings)) {
+        // Back-to-back ranges end and start at the same minute; keep the session then
+        await stopScheduledSession(session);
+      }
+    }
+
+    await syncScheduleAlarms(settings);
+  } catch (error) {
+    console.error('Error handling working-hours alarm:', error);
+  }
+}
+
+/**
+ * Bring the session in line with the schedule after the browser was closed:
+ * start a scheduled session inside working hours and stop one outside of them
+ * @returns {Promise<Object>} Promise that resolves with the current session
+ */
+async function reconcileSchedule() {
+  const settings = await loadSettings();
+  const session = await reconcileSession();
+
+  if (!settings.workingHoursEnabled) {
+    return session;
+  }
+
+  if (isWithinWorkingHours(settings)) {
+    return startScheduledSession(session);
+  }
+  return stopScheduledSession(session);
+}
+
+// Export the module's public API
+export {
+  getNextOccurrence,
+  isWithinWorkingHours,
+  isScheduleAlarm,
+  syncScheduleAlarms,
+  handleScheduleAlarm,
+  reconcileSchedule
+};
@@ -7,36 +7,65 @@
  * - Handling breaks
  */
 
-import { loadSettings } from '../storage/settings.js';
+import { loadSettings, getActivePreset } from '../storage/settings.js';
 import { 
   SessionState, 
+  SessionOrigin,
+  PauseReason,
   createNewSession, 
   saveSessionState, 
   loadSessionState,
   updateSessionState,
   recordShortBreak,
-  updateElapsedTime
+  getShortBreakSeconds,
+  getFocusSinceLastShortBreak,
+  calculateElapsedTime,
+  getSessionFatigue,
+  updateElapsedTime,
+  isExtendedBreak,
+  getLongBreakMinutes
 } from '../storage/session.js';
 import { 
   scheduleRandomBreaks, 
+  restoreMissingAlarms,
+  clearBreakWarnings,
+  suspendBreakAlarms,
+  clearOrphanedAlarms,
   clearSessionAlarms,
+  scheduleShortBreakEnd,
+  scheduleLongBreakEnd,
+  clearShortBreakEnd,
+  scheduleSnoozedShortBreak,
+  scheduleSnoozedLongBreak,
   isShortBreakAlarm,
-  isLongBreakAlarm
+  isLongBreakAlarm,
+  isShortBreakEndAlarm,
+  isLongBreakEndAlarm,
+  isBreakWarningAlarm
 } from './break-generator.js';
+import { getBreakPlanInput, generateBreakTimes, getStoredPlanInput, isSamePlanInput, getShortBreakDuration, getFatigueFactor } from './break-strategies.js';
+import { generateSeed, createSeededRandom } from '../utils/random.js';
 import { 
   NotificationType, 
-  showNotification 
+  showNotification,
+  clearNotifications,
+  playBreakWarning
 } from './notification.js';
-import { updateStatistics } from '../storage/statistics.js';
+import { recordEvent, StatisticsEventType, BreakCompliance, MIN_CHECKED_BREAK_SECONDS } from '../storage/statistics.js';
 
 // Timer update interval in milliseconds
 const TIMER_UPDATE_INTERVAL = 1000;
 
+// A long break that is already due when breaks are re-planned starts this much later
+const REPLANNED_LONG_BREAK_DELAY_MS = 60000;
+
 // Timer state
 let timerInterval = null;
 let currentSession = null;
-// Store long break end timeout
-let longBreakEndTimeout = null;
+// In-memory timeout that ends a short break on time; the persisted alarm is the fallback
+let shortBreakEndTimeout = null;
+// Reconciliation in progress, shared by concurrent callers
+let reconcilePromise = null;
 
 /**
  * Initialize the timer module
@@ -45,7 +74,9 @@ let longBreakEndTimeout = null;
 async function initTimer() {
   console.log('Initializing timer module...');
   try {
-    currentSession = await loadSessionState();
+    // Load the stored session and catch up on anything that should have
+    // happened while the worker was gone
+    currentSession = await reconcileSession();
     console.log('Loaded session state:', currentSession);
     
     // If session was active, resume timer updates
@@ -65,9 +96,14 @@ async function initTimer() {
 
 /**
  * Start a new focus session
+ * @param {Object} [plan] - Position in a running multi-cycle plan as
+ *   { cycle, totalCycles }; without it a new plan starts at the first cycle
+ * @param {string} [origin=SessionOrigin.MANUAL] - How the session was started
+ * @param {number} [startTime] - When the session starts; earlier than now when
+ *   it follows a long break that ended while the worker was not running
  * @returns {Promise<Object>} Promise that resolves with the new session
  */
-async function startSession() {
+async function startSession(plan = null, origin = SessionOrigin.MANUAL, startTime = Date.now()) {
   console.log('Starting new session...');
   
   try {
@@ -81,22 +117,46 @@ async function startSession() {
     }
     
     // Clear any lingering timeouts
-    if (longBreakEndTimeout) {
-      console.log('Clearing lingering long break timeout');
-      clearTimeout(longBreakEndTimeout);
-      longBreakEndTimeout = null;
-    }
+    clearShortBreakTimeout();
     
     // Create a new session
-    currentSession = createNewSession();
+    currentSession = createNewSession(startTime);
     
     // Set the session state to active
-    currentSession = updateSessionState(currentSession, SessionState.ACTIVE);
+    currentSession = updateSessionState(currentSession, SessionState.ACTIVE, startTime);
+    
+    // Remember which preset the session runs with
+    const settings = await loadSettings();
+    const preset = getActivePreset(settings);
+    currentSession.presetId = preset ? preset.id : null;
+    currentSession.presetName = preset ? preset.name : null;
+    
+    // Keep track of the plan in the session so it survives restarts
+    currentSession.cycle = plan ? plan.cycle : 1;
+    currentSession.totalCycles = plan ? plan.totalCycles : settings.cyclesPerPlan;
+    currentSession.origin = origin;
     
     console.log('New session created:', currentSession);
     
     // Schedule random breaks - pass the session start time
-    await scheduleRandomBreaks(currentSession.id, currentSession.startTime);
+    const breakPlan = await scheduleRandomBreaks(currentSession.id, currentSession.startTime);
+    currentSession.shortBreakTimes = breakPlan.shortBreakTimes;
+    currentSession.longBreakTime = breakPlan.longBreakTime;
+    currentSession.breakSeed = breakPlan.seed;
+    currentSession.breakPlanInput = breakPlan.planInput;
+    currentSession.breakAdaptation = breakPlan.adaptation;
+    
+    // The seed and inputs are kept in the ledger as well, so the schedule of
+    // a finished session can still be generated again for diagnostics
+    await recordEvent(StatisticsEventType.SESSION_STARTED, currentSession.id, currentSession.stateStartTime, {
+      presetId: currentSession.presetId,
+      presetName: currentSession.presetName,
+      cycle: currentSession.cycle,
+      totalCycles: currentSession.totalCycles,
+      origin: currentSession.origin,
+      breakSeed: currentSession.breakSeed,
+      breakPlanInput: currentSession.breakPlanInput
+    });
     
     // Start timer updates
     startTimerUpdates();
@@ -113,19 +173,29 @@ async function startSession() {
 
 /**
  * Pause the current session
+ * @param {string} [reason=PauseReason.MANUAL] - Why the session is paused
+ * @param {number} [pausedAt] - When the pause started; earlier than now when
+ *   the user is found to have left some time ago
  * @returns {Promise<Object>} Promise that resolves with the updated session
  */
-async function pauseSession() {
+async function pauseSession(reason = PauseReason.MANUAL, pausedAt = Date.now()) {
   if (!currentSession || currentSession.state !== SessionState.ACTIVE) {
     return currentSession;
   }
   
   // Update session state
-  currentSession = updateSessionState(currentSession, SessionState.PAUSED);
+  currentSession = updateSessionState(currentSession, SessionState.PAUSED, Math.max(currentSession.stateStartTime, pausedAt));
+  currentSession.pauseReason = reason;
+  refreshElapsedTime();
+  await recordEvent(StatisticsEventType.PAUSED, currentSession.id, currentSession.stateStartTime, { reason });
   
   // Stop timer updates
   stopTimerUpdates();
   
+  // Suspend the remaining break schedule; it is shifted and restored on resume
+  const suspendedCount = await suspendBreakAlarms(currentSession.id);
+  console.log(`Suspended ${suspendedCount} break alarms while paused`);
+  
   // Save session state
   await saveSessionState(currentSession);
   
@@ -141,8 +211,23 @@ async function resumeSession() {
     return currentSession;
   }
   
-  // Update session state
+  // Sessions started before the long break time was stored derive it from settings
+  if (!currentSession.longBreakTime) {
+    const settings = await loadSettings();
+    currentSession.longBreakTime = getPlannedLongBreakTime(currentSession, settings);
+  }
+  
+  // Update session state; this also shifts the pending breaks by the paused duration
+  const reason = currentSession.pauseReason || PauseReason.MANUAL;
   currentSession = updateSessionState(currentSession, SessionState.ACTIVE);
+  await recordEvent(StatisticsEventType.RESUMED, currentSession.id, currentSession.stateStartTime, { reason });
+  
+  // Re-create the suspended break alarms at their shifted times
+  await restoreMissingAlarms(
+    currentSession.id,
+    currentSession.shortBreakTimes || [],
+    currentSession.longBreakTime
+  );
   
   // Start timer updates
   startTimerUpdates();
@@ -153,6 +238,112 @@ async function resumeSession() {
   return currentSession;
 }
 
+/**
+ * Get the planned long break time of a session
+ * @param {Object} session - Session object
+ * @param {Object} settings - User settings
+ * @returns {number} Long break time in milliseconds since epoch
+ */
+function getPlannedLongBreakTime(session, settings) {
+  return session.longBreakTime ||
+    session.startTime + session.totalPausedTime + (settings.longPeriodDuration * 60 * 1000);
+}
+
+/**
+ * Re-plan the remaining breaks of the running session after the break
+ * settings changed. Breaks that already happened stay in the plan; the rest
+ * of the focus period is planned again with the new settings and the
+ * session's seed, continuing from the point the session has reached.
+ * Pending breaks are kept relative to focus time: pauses push them back,
+ * breaks do not, so the session's position is its wall-clock time minus
+ * paused time.
+ * @returns {Promise<Object>} Promise that resolves with the updated session
+ */
+async function replanBreaks() {
+  if (!currentSession || reconcilePromise) {
+    await reconcileSession();
+  }
+  
+  const state = currentSession.state;
+  if (state === SessionState.IDLE || state === SessionState.LONG_BREAK) {
+    return currentSession;
+  }
+  
+  const settings = await loadSettings();
+  const seed = typeof currentSession.breakSeed === 'number' ? currentSession.breakSeed : generateSeed();
+  // Adaptation keeps the focus recorded at the session start, so only changed
+  // settings lead to a new plan
+  const adaptation = currentSession.breakAdaptation;
+  const fatigueFactor = getFatigueFactor(settings, adaptation);
+  const carriedFocus = adaptation ? adaptation.focusSinceLongBreak : 0;
+  const planInput = getBreakPlanInput(settings, currentSession.startTime, createSeededRandom(seed), fatigueFactor, carriedFocus);
+  const storedInput = getStoredPlanInput(settings.breakStrategy, planInput);
+  
+  if (currentSession.breakPlanInput && isSamePlanInput(currentSession.breakPlanInput, storedInput)) {
+    return currentSession;
+  }
+  
+  // The plan continues from the start of the pause, or from the end of the
+  // short break in progress
+  const now = Date.now();
+  let resumeTime = now;
+  if (state === SessionState.PAUSED) {
+    resumeTime = currentSession.pauseStartTime;
+  } else if (state === SessionState.SHORT_BREAK) {
+    resumeTime = Math.max(now, currentSession.stateStartTime + (getShortBreakSeconds(currentSession, settings) * 1000));
+  }
+  const pastUntil = Math.min(now, resumeTime);
+  const position = pastUntil - currentSession.startTime - currentSession.totalPausedTime;
+  const toPlanTime = offset => resumeTime + (offset - position);
+  
+  const pastBreakTimes = (currentSession.shortBreakTimes || []).filter(time => time <= pastUntil);
+  const remainingBreakTimes = generateBreakTimes(settings.breakStrategy, planInput)
+    .map(time => time - currentSession.startTime)
+    .filter(offset => offset > position)
+    .map(toPlanTime);
+  const longBreakOffset = Math.max(position + REPLANNED_LONG_BREAK_DELAY_MS, planInput.endTime - currentSession.startTime);
+  
+  await suspendBreakAlarms(currentSession.id);
+  
+  currentSession.shortBreakTimes = pastBreakTimes.concat(remainingBreakTimes);
+  currentSession.longBreakTime = toPlanTime(longBreakOffset);
+  currentSession.breakSeed = seed;
+  currentSession.breakPlanInput = storedInput;
+  if (adaptation) {
+    currentSession.breakAdaptation = { ...adaptation, factor: fatigueFactor };
+  }
+  
+  // Paused sessions get their alarms back when they resume
+  if (state !== SessionState.PAUSED) {
+    await restoreMissingAlarms(currentSession.id, currentSession.shortBreakTimes, currentSession.longBreakTime);
+  }
+  
+  console.log(`Re-planned ${remainingBreakTimes.length} remaining breaks, long break at ${new Date(currentSession.longBreakTime).toLocaleTimeString()}`);
+  
+  await saveSessionState(currentSession);
+  return currentSession;
+}
+
+/**
+ * Schedule the warnings before the running session's breaks again after the
+ * warning settings changed. Paused sessions get them back when they resume.
+ * @returns {Promise<Object>} Promise that resolves with the current session
+ */
+async function syncBreakWarnings() {
+  if (!currentSession || reconcilePromise) {
+    await reconcileSession();
+  }
+  
+  const state = currentSession.state;
+  if (state !== SessionState.ACTIVE && state !== SessionState.SHORT_BREAK) {
+    return currentSession;
+  }
+  
+  await clearBreakWarnings(currentSession.id);
+  await restoreMissingAlarms(currentSession.id, currentSession.shortBreakTimes || [], currentSession.longBreakTime);
+  return currentSession;
+}
+
 /**
  * Reset the current session
  * @returns {Promise<Object>} Promise that resolves with the new session
@@ -160,10 +351,20 @@ async function resumeSession() {
 async function resetSession() {
   // Stop timer updates
   stopTimerUpdates();
+  clearShortBreakTimeout();
   
   // Clear any scheduled alarms
   if (currentSession) {
     await clearSessionAlarms(currentSession.id);
+    
+    // Close the session in the statistics ledger; a long break that was
+    // running counts as taken, so it ends before the reset
+    if (currentSession.state === SessionState.LONG_BREAK) {
+      await recordEvent(StatisticsEventType.BREAK_ENDED, currentSession.id, Date.now(), { breakType: 'long' });
+    }
+    if (currentSession.state !== SessionState.IDLE) {
+      await recordEvent(StatisticsEventType.SESSION_RESET, currentSession.id);
+    }
   }
   
   // Create a new session
@@ -188,56 +389,40 @@ async function startShortBreak() {
   }
   
   try {
-    // Record short break
-    currentSession = recordShortBreak(currentSession);
+    // Choose the break length, then record the short break with it
+    const settings = await loadSettings();
+    const focusTime = calculateElapsedTime(currentSession);
+    const fatigueFactor = getFatigueFactor(settings, getSessionFatigue(currentSession));
+    const shortBreakDuration = Math.round(
+      getShortBreakDuration(settings, getFocusSinceLastShortBreak(currentSession, focusTime)) * fatigueFactor
+    );
+    currentSession = recordShortBreak(currentSession, shortBreakDuration, focusTime);
+    refreshElapsedTime();
     console.log('Session state updated to short break:', currentSession);
     
-    // Show notification
-    await showNotification(NotificationType.SHORT_BREAK);
-    console.log('Short break notification shown');
+    // Record the break in the statistics ledger
+    await recordEvent(StatisticsEventType.BREAK_STARTED, currentSession.id, currentSession.stateStartTime, {
+      breakType: 'short',
+      duration: shortBreakDuration
+    });
     
-    // Update statistics for this short break
-    await updateStatistics(0, 1, 0);
-    console.log('Statistics updated for short break');
-    
-    // Save session state
+    // Save session state and schedule the end of the short break before
+    // announcing it, so a suspended worker still finds both
     await saveSessionState(currentSession);
     
-    // Schedule end of short break
-    const settings = await loadSettings();
-    const shortBreakDuration = settings.shortBreakDuration || 10; // Default to 10 seconds if not set
     console.log(`Short break will end in ${shortBreakDuration} seconds`);
     
-    // Create a more reliable timeout with a reference we can check later
-    const shortBreakEndTime = Date.now() + (shortBreakDuration * 1000);
+    const shortBreakEndTime = currentSession.stateStartTime + (shortBreakDuration * 1000);
     console.log(`Short break scheduled to end at: ${new Date(shortBreakEndTime).toLocaleTimeString()}`);
     
-    const timeoutId = setTimeout(async () => {
-      console.log('Short break timeout fired');
-      try {
-        if (currentSession && currentSession.state === SessionState.SHORT_BREAK) {
-          console.log('Ending short break and returning to active state');
-          await endShortBreak();
-        } else {
-          console.log(`Short break not ended - current state: ${currentSession ? currentSession.state : 'no session'}`);
-        }
-      } catch (error) {
-        console.error('Error in short break timeout handler:', error);
-        // Force state back to active as a failsafe
-        if (currentSession) {
-          currentSession = updateSessionState(currentSession, SessionState.ACTIVE);
-          await saveSessionState(currentSession);
-        }
-      }
-    }, shortBreakDuration * 1000);
+    await scheduleShortBreakEndTriggers(shortBreakEndTime);
     
-    // Add a fallback timeout as an extra safety measure
-    setTimeout(async () => {
-      if (currentSession && currentSession.state === SessionState.SHORT_BREAK) {
-        console.log('FAILSAFE: Short break did not end properly, forcing end');
-        await endShortBreak();
-      }
-    }, (shortBreakDuration + 5) * 1000);
+    // Show notification
+    await showNotification(NotificationType.SHORT_BREAK, {
+      allowSnooze: canSnooze(currentSession, settings),
+      duration: shortBreakDuration
+    });
+    console.log('Short break notification shown');
     
     return currentSession;
   } catch (error) {
@@ -251,6 +436,34 @@ async function startShortBreak() {
   }
 }
 
+/**
+ * Schedule both triggers that end the current short break
+ * @param {number} endTime - Break end time in milliseconds since epoch
+ * @returns {Promise} Promise that resolves when the triggers are scheduled
+ */
+async function scheduleShortBreakEndTriggers(endTime) {
+  // Persist the break end as an alarm so it survives service worker suspension
+  await scheduleShortBreakEnd(currentSession.id, endTime);
+  
+  // Chrome may delay short alarms by up to 30 seconds, so also end the break
+  // on time while the worker is still alive. Whichever fires first wins.
+  clearShortBreakTimeout();
+  shortBreakEndTimeout = setTimeout(async () => {
+    shortBreakEndTimeout = null;
+    console.log('Short break timeout fired');
+    try {
+      if (currentSession && currentSession.state === SessionState.SHORT_BREAK) {
+        console.log('Ending short break and returning to active state');
+        await endShortBreak();
+      } else {
+        console.log(`Short break not ended - current state: ${currentSession ? currentSession.state : 'no session'}`);
+      }
+    } catch (error) {
+      console.error('Error in short break timeout handler:', error);
+    }
+  }, Math.max(0, endTime - Date.now()));
+}
+
 /**
  * End a short break
  * @returns {Promise<Object>} Promise that resolves with the updated session
@@ -271,18 +484,35 @@ async function endShortBreak() {
   try {
     console.log('Transitioning from short break to active state');
     
+    // The break is ending now, so neither end trigger is needed anymore
+    clearShortBreakTimeout();
+    await clearShortBreakEnd(currentSession.id);
+    
+    // Check whether the break was used to look away before focus starts again
+    const settings = await loadSettings();
+    const compliance = await getBreakCompliance(currentSession, (Date.now() - currentSession.stateStartTime) / 1000);
+    
     // Update session state
     currentSession = updateSessionState(currentSession, SessionState.ACTIVE);
+    await recordEvent(StatisticsEventType.BREAK_ENDED, currentSession.id, currentSession.stateStartTime, {
+      breakType: 'short',
+      ...(compliance ? { compliance } : {})
+    });
     
     // Show notification that short break has ended
     await showNotification(NotificationType.SHORT_BREAK_END);
     
+    // Gently point out a break that went by unused
+    if (compliance === BreakCompliance.IGNORED && settings.breakReminderEnabled) {
+      await showNotification(NotificationType.BREAK_REMINDER);
+    }
+    
     // Save session state
     await saveSessionState(currentSession);
     
     console.log('Short break ended successfully, now in active state');
     
-    return currentSession;
+    return pauseIfAway();
   } catch (error) {
     console.error('Error ending short break:', error);
     
@@ -299,11 +529,40 @@ async function endShortBreak() {
   }
 }
 
+/**
+ * Find out whether the user honored a short break that is about to end.
+ * chrome.idle cannot report inactivity shorter than 15 seconds, so shorter
+ * breaks are only judged when the user was away or the screen was locked;
+ * they are left out of the compliance rate and never lead to a reminder.
+ * @param {Object} session - Session in its short break
+ * @param {number} breakSeconds - How long the break has lasted
+ * @returns {Promise<string|null>} BreakCompliance value, or null if it cannot be told
+ */
+function getBreakCompliance(session, breakSeconds) {
+  if (session.awayPeriod) {
+    return Promise.resolve(BreakCompliance.HONORED);
+  }
+  
+  const canCheckInput = breakSeconds >= MIN_CHECKED_BREAK_SECONDS;
+  
+  return new Promise((resolve) => {
+    chrome.idle.queryState(Math.max(MIN_CHECKED_BREAK_SECONDS, Math.floor(breakSeconds)), (idleState) => {
+      if (idleState === 'locked' || (canCheckInput && idleState === 'idle')) {
+        resolve(BreakCompliance.HONORED);
+      } else {
+        resolve(canCheckInput ? BreakCompliance.IGNORED : null);
+      }
+    });
+  });
+}
+
 /**
  * Start a long break
+ * @param {number} [startedAt] - When the break started; earlier than now when
+ *   catching up on a break that was due while the service worker was suspended
  * @returns {Promise<Object>} Promise that resolves with the updated session
  */
-async function startLongBreak() {
+async function startLongBreak(startedAt = Date.now()) {
   if (!currentSession) {
     return null;
   }
@@ -313,68 +572,51 @@ async function startLongBreak() {
   // Stop timer updates
   stopTimerUpdates();
   
-  // Update statistics before ending session
-  await updateSessionStatistics();
+  // Update session state; focus time stops counting at the start of the break
+  currentSession = updateSessionState(currentSession, SessionState.LONG_BREAK, startedAt);
+  refreshElapsedTime();
   
-  // Update session state
-  currentSession = updateSessionState(currentSession, SessionState.LONG_BREAK);
+  // Record the long break, which also completes the session in the statistics
+  await recordEvent(StatisticsEventType.BREAK_STARTED, currentSession.id, startedAt, {
+    breakType: 'long'
+  });
   
-  // Show notification
-  await showNotification(NotificationType.LONG_BREAK);
+  // The last cycle of a plan ends with the extended break
+  const settings = await loadSettings();
+  const longBreakMinutes = getLongBreakMinutes(currentSession, settings);
+  const longBreakDurationMs = longBreakMinutes * 60 * 1000;
+  const longBreakEndTime = startedAt + longBreakDurationMs;
   
   // Save session state
   await saveSessionState(currentSession);
   
-  // Clear any existing timeout to prevent multiple timers
-  if (longBreakEndTimeout) {
-    clearTimeout(longBreakEndTimeout);
-    longBreakEndTimeout = null;
-  }
+  // Schedule end of long break as a persisted alarm; a 20 minute timeout
+  // would not survive the service worker being suspended
   
-  // Schedule end of long break
-  const settings = await loadSettings();
-  const longBreakDurationMs = settings.longBreakDuration * 60 * 1000;
+  console.log(`Long break scheduled to end in ${longBreakMinutes} minutes (${longBreakDurationMs}ms) at ${new Date(longBreakEndTime).toLocaleTimeString()}`);
   
-  console.log(`Long break scheduled to end in ${settings.longBreakDuration} minutes (${longBreakDurationMs}ms) at ${new Date(Date.now() + longBreakDurationMs).toLocaleTimeString()}`);
+  await scheduleLongBreakEnd(currentSession.id, longBreakEndTime);
   
-  longBreakEndTimeout = setTimeout(async () => {
-    console.log('Long break timeout fired, ending long break');
-    try {
-      if (currentSession && currentSession.state === SessionState.LONG_BREAK) {
-        await endLongBreak();
-      } else {
-        console.log(`Long break not ended - current state: ${currentSession ? currentSession.state : 'no session'}`);
-      }
-    } catch (error) {
-      console.error('Error in long break timeout handler:', error);
-      // Force session reset as a failsafe
-      currentSession = createNewSession();
-      await saveSessionState(currentSession);
-    }
-  }, longBreakDurationMs);
-  
-  // Add a failsafe timeout in case the primary one fails
-  setTimeout(async () => {
-    if (currentSession && currentSession.state === SessionState.LONG_BREAK) {
-      console.log('FAILSAFE: Long break did not end properly, forcing end');
-      try {
-        // Force a complete reset of the session
-        currentSession = createNewSession();
-        await saveSessionState(currentSession);
-      } catch (error) {
-        console.error('Error in long break failsafe:', error);
-      }
-    }
-  }, longBreakDurationMs + 10000); // 10 seconds after scheduled end
+  // Only announce a break that is still running
+  if (longBreakEndTime > Date.now()) {
+    await showNotification(NotificationType.LONG_BREAK, {
+      allowSnooze: canSnooze(currentSession, settings),
+      extended: isExtendedBreak(currentSession)
+    });
+  }
   
   return currentSession;
 }
 
 /**
  * End a long break
+ * @param {boolean} [skipped=false] - Whether the break is ended because it was
+ *   skipped; skipped breaks are recorded as such and not announced as finished
+ * @param {number} [endTime] - When the break ended; earlier than now when an
+ *   overdue break is found on startup. The next session starts at this time.
  * @returns {Promise<Object>} Promise that resolves with the updated session
  */
-async function endLongBreak() {
+async function endLongBreak(skipped = false, endTime = Date.now()) {
   if (!currentSession || currentSession.state !== SessionState.LONG_BREAK) {
     return currentSession;
   }
@@ -390,11 +632,15 @@ async function endLongBreak() {
     await clearSessionAlarms(currentSession.id);
   }
   
-  // Clear any lingering timeouts
-  if (longBreakEndTimeout) {
-    clearTimeout(longBreakEndTimeout);
-    longBreakEndTimeout = null;
-  }
+  await recordEvent(skipped ? StatisticsEventType.BREAK_SKIPPED : StatisticsEventType.BREAK_ENDED, currentSession.id, endTime, {
+    breakType: 'long'
+  });
+  
+  // A plan continues with its next cycle until the extended break is over
+  const finishedSession = currentSession;
+  const awayPeriod = finishedSession.awayPeriod;
+  const hasNextCycle = !isExtendedBreak(finishedSession) &&
+    (finishedSession.cycle || 1) < (finishedSession.totalCycles || 1);
   
   // Force reset to idle state to ensure timer is completely reset
   console.log('Creating new idle session to completely reset timer');
@@ -406,16 +652,32 @@ async function endLongBreak() {
   console.log('Long break ended, session completely reset to idle state');
   
   // Show notification that long break has ended
-  await showNotification(NotificationType.LONG_BREAK, {
-    title: 'Long Break Finished',
-    message: 'Your long break is over. Ready to start a new session?'
-  });
+  if (skipped) {
+    await clearNotifications(NotificationType.LONG_BREAK);
+  }
+  
+  if (hasNextCycle) {
+    const nextPlan = {
+      cycle: finishedSession.cycle + 1,
+      totalCycles: finishedSession.totalCycles
+    };
+    console.log(`Continuing plan with cycle ${nextPlan.cycle} of ${nextPlan.totalCycles}`);
+    await showNotification(NotificationType.NEXT_CYCLE, nextPlan);
+    await startSession(nextPlan, finishedSession.origin, endTime);
+    return pauseIfAway(awayPeriod);
+  }
+  
+  // The extended break ends the whole plan
+  if (!skipped) {
+    await showNotification(isExtendedBreak(finishedSession) ? NotificationType.SESSION_COMPLETE : NotificationType.LONG_BREAK_END);
+  }
   
   // If auto-start is enabled, start a new session
   const settings = await loadSettings();
   if (settings.autoStartNextSession) {
     console.log('Auto-start is enabled, starting new session');
-    return startSession();
+    await startSession(null, finishedSession.origin, endTime);
+    return pauseIfAway(awayPeriod);
   } else {
     console.log('Auto-start is disabled, remaining in idle state');
     
@@ -437,6 +699,194 @@ async function endLongBreak() {
   }
 }
 
+/**
+ * React to the user leaving or returning to the computer. Leaving pauses an
+ * active session; leaving during a break lets the break run, since being away
+ * is what the break is for. Returning resumes a session that was paused
+ * because the user left, and records the away period on the session.
+ * @param {string} idleState - State reported by chrome.idle: 'active', 'idle' or 'locked'
+ * @returns {Promise<Object>} Promise that resolves with the updated session
+ */
+async function handleIdleStateChange(idleState) {
+  if (!currentSession || reconcilePromise) {
+    await reconcileSession();
+  }
+  
+  const now = Date.now();
+  
+  if (idleState === 'active') {
+    const awayPeriod = currentSession.awayPeriod;
+    if (!awayPeriod) {
+      return currentSession;
+    }
+    
+    console.log(`User is back after ${Math.round((now - awayPeriod.since) / 1000)}s away`);
+    currentSession.idlePeriods = [
+      ...(currentSession.idlePeriods || []),
+      { start: awayPeriod.since, end: now, state: awayPeriod.state, duringBreak: awayPeriod.duringBreak }
+    ];
+    currentSession.awayPeriod = null;
+    
+    if (currentSession.state === SessionState.PAUSED && currentSession.pauseReason === PauseReason.IDLE) {
+      return resumeSession();
+    }
+    
+    await saveSessionState(currentSession);
+    return currentSession;
+  }
+  
+  const settings = await loadSettings();
+  if (!settings.idlePauseEnabled || currentSession.state === SessionState.IDLE || currentSession.awayPeriod) {
+    return currentSession;
+  }
+  
+  // chrome.idle reports 'idle' only after the threshold without input, so the
+  // user left that long ago; a locked screen is reported right away
+  const since = idleState === 'idle'
+    ? Math.max(currentSession.stateStartTime, now - settings.idleThresholdMinutes * 60 * 1000)
+    : now;
+  const duringBreak = currentSession.state === SessionState.SHORT_BREAK ||
+    currentSession.state === SessionState.LONG_BREAK;
+  
+  console.log(`User went ${idleState} at ${new Date(since).toLocaleTimeString()}${duringBreak ? ' during a break' : ''}`);
+  currentSession.awayPeriod = { since, state: idleState, duringBreak };
+  
+  if (currentSession.state === SessionState.ACTIVE) {
+    return pauseSession(PauseReason.IDLE, since);
+  }
+  
+  await saveSessionState(currentSession);
+  return currentSession;
+}
+
+/**
+ * Pause the session if the user is still away when focus would start again
+ * @param {Object} [awayPeriod] - Away period carried over from a finished session
+ * @returns {Promise<Object>} Promise that resolves with the current session
+ */
+async function pauseIfAway(awayPeriod = null) {
+  if (awayPeriod && currentSession.state === SessionState.ACTIVE) {
+    currentSession.awayPeriod = { ...awayPeriod, since: currentSession.stateStartTime, duringBreak: false };
+  }
+  
+  if (!currentSession.awayPeriod || currentSession.state !== SessionState.ACTIVE) {
+    return currentSession;
+  }
+  
+  console.log('User is still away, pausing session');
+  return pauseSession(PauseReason.IDLE);
+}
+
+/**
+ * Check whether the session may snooze another break
+ * @param {Object} session - Current session object
+ * @param {Object} settings - User settings
+ * @returns {boolean} True if the snooze limit has not been reached
+ */
+function canSnooze(session, settings) {
+  return (session.snoozeCount || 0) < settings.maxSnoozesPerSession;
+}
+
+/**
+ * Postpone the running short or long break. Focus continues right away and
+ * the same kind of break is scheduled again after the given number of minutes.
+ * @param {number} minutes - How long to postpone the break
+ * @returns {Promise<Object>} Promise that resolves with the updated session
+ */
+async function snoozeBreak(minutes) {
+  if (!(Number(minutes) > 0)) {
+    console.warn('Invalid snooze length:', minutes);
+    return currentSession;
+  }
+  
+  if (!currentSession ||
+      (currentSession.state !== SessionState.SHORT_BREAK && currentSession.state !== SessionState.LONG_BREAK)) {
+    console.log('No break is running, nothing to snooze');
+    return currentSession;
+  }
+  
+  const settings = await loadSettings();
+  if (!canSnooze(currentSession, settings)) {
+    console.log(`Snooze limit of ${settings.maxSnoozesPerSession} reached for this session`);
+    return currentSession;
+  }
+  
+  const isShortBreak = currentSession.state === SessionState.SHORT_BREAK;
+  const breakType = isShortBreak ? 'short' : 'long';
+  const now = Date.now();
+  const snoozedUntil = now + (minutes * 60 * 1000);
+  
+  console.log(`Snoozing ${breakType} break for ${minutes} minutes, until ${new Date(snoozedUntil).toLocaleTimeString()}`);
+  
+  if (isShortBreak) {
+    clearShortBreakTimeout();
+    await clearShortBreakEnd(currentSession.id);
+  }
+  
+  currentSession = updateSessionState(currentSession, SessionState.ACTIVE, now);
+  currentSession.snoozeCount = (currentSession.snoozeCount || 0) + 1;
+  
+  if (isShortBreak) {
+    const shortBreakTimes = currentSession.shortBreakTimes || [];
+    const index = shortBreakTimes.length;
+    currentSession.shortBreakTimes = shortBreakTimes.concat(snoozedUntil);
+    await scheduleSnoozedShortBreak(currentSession.id, index, snoozedUntil);
+  } else {
+    currentSession.longBreakTime = snoozedUntil;
+    await scheduleSnoozedLongBreak(currentSession.id, snoozedUntil);
+  }
+  
+  await recordEvent(StatisticsEventType.BREAK_SNOOZED, currentSession.id, now, {
+    breakType,
+    minutes
+  });
+  
+  await clearNotifications(isShortBreak ? NotificationType.SHORT_BREAK : NotificationType.LONG_BREAK);
+  
+  refreshElapsedTime();
+  startTimerUpdates();
+  await saveSessionState(currentSession);
+  
+  return currentSession;
+}
+
+/**
+ * Skip the running short or long break. A skipped short break returns to
+ * focus right away; a skipped long break ends the session like a finished one.
+ * @returns {Promise<Object>} Promise that resolves with the updated session
+ */
+async function skipBreak() {
+  if (!currentSession) {
+    return null;
+  }
+  
+  if (currentSession.state === SessionState.LONG_BREAK) {
+    console.log('Skipping long break');
+    return endLongBreak(true);
+  }
+  
+  if (currentSession.state !== SessionState.SHORT_BREAK) {
+    console.log('No break is running, nothing to skip');
+    return currentSession;
+  }
+  
+  console.log('Skipping short break');
+  
+  clearShortBreakTimeout();
+  await clearShortBreakEnd(currentSession.id);
+  
+  currentSession = updateSessionState(currentSession, SessionState.ACTIVE);
+  await recordEvent(StatisticsEventType.BREAK_SKIPPED, currentSession.id, currentSession.stateStartTime, {
+    breakType: 'short'
+  });
+  
+  await clearNotifications(NotificationType.SHORT_BREAK);
+  
+  await saveSessionState(currentSession);
+  
+  return currentSession;
+}
+
 /**
  * Start timer update interval
  */
@@ -444,26 +894,15 @@ function startTimerUpdates() {
   // Clear any existing interval
   stopTimerUpdates();
   
-  // Update elapsed time every second
+  // Refresh the elapsed time snapshot every second. The interval only decides
+  // how often storage listeners see the value; the value itself comes from
+  // timestamps, so a throttled or suspended worker does not lose focus time.
   timerInterval = setInterval(async () => {
     if (currentSession && currentSession.state === SessionState.ACTIVE) {
-      // Calculate elapsed time since last state start
-      const now = Date.now();
-      const elapsedSinceStateStart = (now - currentSession.stateStartTime) / 1000;
-      
-      // Update elapsed time in the session object
-      if (elapsedSinceStateStart > 0) {
-        currentSession.elapsedTime += 1; // Add one second
-      }
+      refreshElapsedTime();
       
       // Periodically save session state to storage for UI updates
       await saveSessionState(currentSession);
-      
-      // Update statistics every minute to ensure focus time is tracked
-      if (currentSession.elapsedTime % 60 === 0) {
-        console.log('Periodic statistics update - elapsed time:', currentSession.elapsedTime);
-        await updateStatistics(60, 0, 0); // Add the last minute of focus time
-      }
     }
   }, TIMER_UPDATE_INTERVAL);
   
@@ -481,27 +920,131 @@ function stopTimerUpdates() {
 }
 
 /**
- * Update statistics with current session data
- * @returns {Promise} Promise that resolves when statistics are updated
+ * Bring the session's elapsed time snapshot up to date
  */
-async function updateSessionStatistics() {
-  if (!currentSession) {
-    return;
+function refreshElapsedTime() {
+  currentSession = updateElapsedTime(currentSession);
+}
+
+/**
+ * Clear the in-memory short break end timeout
+ */
+function clearShortBreakTimeout() {
+  if (shortBreakEndTimeout) {
+    clearTimeout(shortBreakEndTimeout);
+    shortBreakEndTimeout = null;
   }
+}
+
+/**
+ * Replay what should have happened to the session since the service worker
+ * last ran: end overdue breaks, start an overdue long break, re-create lost
+ * alarms and bring the stored focus time up to date.
+ * Concurrent calls (worker wake and browser startup) share one run.
+ * @returns {Promise<Object>} Promise that resolves with the reconciled session
+ */
+function reconcileSession() {
+  if (!reconcilePromise) {
+    reconcilePromise = runReconciliation().finally(() => {
+      reconcilePromise = null;
+    });
+  }
+  return reconcilePromise;
+}
+
+/**
+ * Perform a single reconciliation pass
+ * @returns {Promise<Object>} Promise that resolves with the reconciled session
+ */
+async function runReconciliation() {
+  const corrections = [];
   
-  console.log('Updating session statistics. Current elapsed time:', currentSession.elapsedTime);
-  
-  // elapsedTime is already in seconds, no need to divide by 1000
-  const focusTimeSeconds = currentSession.elapsedTime;
-  
-  console.log(`Adding ${focusTimeSeconds} seconds to focus time statistics`);
+  try {
+    if (!currentSession) {
+      currentSession = await loadSessionState();
+    }
+    
+    const settings = await loadSettings();
+    const now = Date.now();
+    
+    const orphanedCount = await clearOrphanedAlarms(currentSession.id);
+    if (orphanedCount > 0) {
+      corrections.push(`cleared ${orphanedCount} alarms left over from earlier sessions`);
+    }
+    
+    // A short break that should already be over resumes focus from its end time
+    if (currentSession.state === SessionState.SHORT_BREAK) {
+      const breakEndTime = currentSession.stateStartTime + (getShortBreakSeconds(currentSession, settings) * 1000);
+      if (breakEndTime <= now) {
+        clearShortBreakTimeout();
+        await clearShortBreakEnd(currentSession.id);
+        currentSession = updateSessionState(currentSession, SessionState.ACTIVE, breakEndTime);
+        await recordEvent(StatisticsEventType.BREAK_ENDED, currentSession.id, breakEndTime, {
+          breakType: 'short'
+        });
+        corrections.push(`ended short break that was due at ${new Date(breakEndTime).toLocaleTimeString()}`);
+      } else {
+        await scheduleShortBreakEndTriggers(breakEndTime);
+      }
+    }
+    
+    if (currentSession.state === SessionState.ACTIVE) {
+      const longBreakTime = getPlannedLongBreakTime(currentSession, settings);
+      
+      if (longBreakTime <= now) {
+        corrections.push(`started long break that was due at ${new Date(longBreakTime).toLocaleTimeString()}`);
+        await startLongBreak(longBreakTime);
+      } else {
+        // Bring the stored snapshot in line with the focus time that passed
+        // while no timer updates were running
+        const previousElapsed = currentSession.elapsedTime;
+        refreshElapsedTime();
+        const missedSeconds = currentSession.elapsedTime - previousElapsed;
+        if (missedSeconds > 1) {
+          corrections.push(`updated stored focus time by ${missedSeconds}s`);
+        }
+        
+        // Breaks planned before the latest one taken fired as usual
+        const breaksTaken = currentSession.shortBreaksTaken || [];
+        const lastBreakTime = breaksTaken.length > 0 ? breaksTaken[breaksTaken.length - 1].time : currentSession.startTime;
+        const { restored, missed } = await restoreMissingAlarms(
+          currentSession.id,
+          currentSession.shortBreakTimes || [],
+          longBreakTime,
+          lastBreakTime
+        );
+        if (restored > 0) {
+          corrections.push(`re-created ${restored} missing break alarms`);
+        }
+        if (missed > 0) {
+          corrections.push(`did not restore ${missed} short break alarms that are already past due`);
+        }
+      }
+    }
+    
+    // A long break that should already be over ends now
+    if (currentSession.state === SessionState.LONG_BREAK) {
+      const breakEndTime = currentSession.stateStartTime + (getLongBreakMinutes(currentSession, settings) * 60 * 1000);
+      if (breakEndTime <= now) {
+        corrections.push(`ended long break that was due at ${new Date(breakEndTime).toLocaleTimeString()}`);
+        await endLongBreak(false, breakEndTime);
+      } else {
+        await scheduleLongBreakEnd(currentSession.id, breakEndTime);
+      }
+    }
+    
+    await saveSessionState(currentSession);
+    
+    if (corrections.length > 0) {
+      console.log(`Session reconciliation corrected ${corrections.length} issue(s):\n- ${corrections.join('\n- ')}`);
+    } else {
+      console.log('Session reconciliation: nothing to correct');
+    }
+  } catch (error) {
+    console.error('Error reconciling session:', error);
+  }
   
-  // Update statistics
-  await updateStatistics(
-    focusTimeSeconds,
-    currentSession.shortBreakCount,
-    1 // One long break per session
-  );
+  return currentSession;
 }
 
 /**
@@ -513,9 +1056,10 @@ async function handleAlarm(alarm) {
   console.log('Handling alarm:', alarm.name, 'at', new Date().toLocaleTimeString());
   
   try {
-    if (!currentSession) {
-      console.log('No current session, ignoring alarm');
-      return;
+    // The alarm may have woken a fresh service worker before initTimer() ran;
+    // let reconciliation load the session and settle it first
+    if (!currentSession || reconcilePromise) {
+      await reconcileSession();
     }
     
     // Check if this alarm belongs to current session
@@ -528,12 +1072,36 @@ async function handleAlarm(alarm) {
     const sessionState = currentSession.state;
     console.log(`Current session state when alarm triggered: ${sessionState}`);
     
-    // Only handle alarms when session is active
+    // Handle short break end alarm
+    if (isShortBreakEndAlarm(alarm.name)) {
+      if (sessionState === SessionState.SHORT_BREAK) {
+        console.log(`Ending short break from alarm: ${alarm.name}`);
+        await endShortBreak();
+      }
+      return;
+    }
+    
+    // Handle long break end alarm
+    if (isLongBreakEndAlarm(alarm.name)) {
+      if (sessionState === SessionState.LONG_BREAK) {
+        console.log(`Ending long break from alarm: ${alarm.name}`);
+        await endLongBreak();
+      }
+      return;
+    }
+    
+    // Only handle break start alarms when session is active
     if (sessionState !== SessionState.ACTIVE) {
       console.log(`Session is not active (${sessionState}), ignoring alarm`);
       return;
     }
     
+    // Handle the warning shortly before a break
+    if (isBreakWarningAlarm(alarm.name)) {
+      await playBreakWarning();
+      return;
+    }
+    
     // Handle short break alarm
     if (isShortBreakAlarm(alarm.name)) {
       console.log(`Starting random short break from alarm: ${alarm.name}`);
@@ -565,5 +1133,11 @@ export {
   endShortBreak,
   startLongBreak,
   endLongBreak,
+  snoozeBreak,
+  skipBreak,
+  replanBreaks,
+  syncBreakWarnings,
+  handleIdleStateChange,
+  reconcileSession,
   handleAlarm
 };
@@ -1,10 +1,35 @@
+/**
+ * offscreen.js
+ *
+ * Plays notification sounds for the service worker, which has no audio of
+ * its own. Bundled sounds are loaded from the extension package, custom
+ * sounds from IndexedDB and tone patterns are synthesized. Sounds are played
+ * through Web Audio so the volume, a fade-in and repeats can be applied as
+ * the play-sound message asks.
+ */
+
+import { getCustomSoundId, getCustomSound } from './storage/custom-sounds.js';
+import { getBundledSound, getBundledSoundPath } from './utils/sound-registry.js';
+import { getTonePatternDuration, scheduleTonePattern } from './utils/tone-patterns.js';
+
+// Silence between the plays of a repeated sound
+const REPEAT_GAP_SECONDS = 0.4;
+
+// Created on first playback and reused for every sound afterwards
+let audioContext = null;
+
 // Listen for messages from the service worker
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   console.log('Offscreen document received message:', message);
   
   if (message.action === 'play-sound') {
     const soundFile = message.soundFile;
-    playSound(soundFile)
+    playSound(soundFile, {
+      volume: typeof message.volume === 'number' ? message.volume : 1,
+      fadeInSeconds: typeof message.fadeInSeconds === 'number' ? message.fadeInSeconds : 0,
+      repeat: typeof message.repeat === 'number' ? message.repeat : 1,
+      tonePattern: message.tonePattern || null
+    })
       .then(() => {
         // Send response that sound played successfully
         sendResponse({ success: true });
@@ -20,42 +45,90 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 });
 
 /**
- * Play a sound file using the Audio API
- * @param {string} soundFile - The filename of the sound to play
- * @returns {Promise} A promise that resolves when sound finishes playing
+ * Get the audio context, resuming it if the browser suspended it
+ * @returns {Promise<AudioContext>} Promise that resolves with the running audio context
+ */
+async function getAudioContext() {
+  if (!audioContext) {
+    audioContext = new AudioContext();
+  }
+  if (audioContext.state === 'suspended') {
+    await audioContext.resume();
+  }
+  return audioContext;
+}
+
+/**
+ * Load the encoded audio data of a sound
+ * @param {string} soundFile - File name of a bundled sound or a custom sound setting value
+ * @returns {Promise<ArrayBuffer>} Promise that resolves with the file contents
+ */
+async function loadSoundData(soundFile) {
+  const customSoundId = getCustomSoundId(soundFile);
+  if (!customSoundId) {
+    const sound = getBundledSound(soundFile);
+    if (!sound) {
+      throw new Error(`Sound ${soundFile} is not in the sound registry`);
+    }
+    const response = await fetch(chrome.runtime.getURL(getBundledSoundPath(sound)));
+    if (!response.ok) {
+      throw new Error(`Failed to load ${soundFile}: ${response.status}`);
+    }
+    return response.arrayBuffer();
+  }
+  
+  const sound = await getCustomSound(customSoundId);
+  if (!sound) {
+    throw new Error(`Custom sound ${customSoundId} no longer exists`);
+  }
+  return sound.blob.arrayBuffer();
+}
+
+/**
+ * Play a sound file or a tone pattern through a gain node
+ * @param {string} soundFile - The filename of the sound to play, or a custom sound or tone pattern setting value
+ * @param {Object} [options] - Playback options from the play-sound message
+ * @param {number} [options.volume=1] - Volume from 0 to 1
+ * @param {number} [options.fadeInSeconds=0] - Length of the ramp from silence to the volume; 0 starts at full volume
+ * @param {number} [options.repeat=1] - Number of times the sound plays in a row
+ * @param {Object|null} [options.tonePattern=null] - Pattern to synthesize instead of loading soundFile
+ * @returns {Promise} A promise that resolves when the last play finishes
  */
-function playSound(soundFile) {
-  return new Promise((resolve, reject) => {
-    try {
-      const soundUrl = chrome.runtime.getURL(`sounds/${soundFile}`);
-      console.log(`Playing sound from URL: ${soundUrl}`);
-      
-      const audio = new Audio(soundUrl);
-      
-      // Set up event listeners
-      audio.onended = () => {
-        console.log('Sound playback completed');
-        resolve();
-      };
-      
-      audio.onerror = (err) => {
-        console.error('Audio playback error:', err);
-        reject(new Error(`Failed to play ${soundFile}: ${err.message || 'Unknown error'}`));
-      };
-      
-      // Start playback
-      const playPromise = audio.play();
-      
-      // Modern browsers return a promise from play()
-      if (playPromise !== undefined) {
-        playPromise.catch(error => {
-          console.error('Play promise rejected:', error);
-          reject(error);
-        });
-      }
-    } catch (err) {
-      console.error('Exception during sound playback setup:', err);
-      reject(err);
+async function playSound(soundFile, { volume = 1, fadeInSeconds = 0, repeat = 1, tonePattern = null } = {}) {
+  const context = await getAudioContext();
+  const buffer = tonePattern ? null : await context.decodeAudioData(await loadSoundData(soundFile));
+  const soundSeconds = tonePattern ? getTonePatternDuration(tonePattern) : buffer.duration;
+  const gain = Math.min(1, Math.max(0, volume));
+  const plays = Math.max(1, Math.round(repeat));
+  
+  const gainNode = context.createGain();
+  gainNode.connect(context.destination);
+  
+  // Only the first play fades in; repeats follow at the full volume
+  const startTime = context.currentTime;
+  if (fadeInSeconds > 0) {
+    gainNode.gain.setValueAtTime(0, startTime);
+    gainNode.gain.linearRampToValueAtTime(gain, startTime + fadeInSeconds);
+  } else {
+    gainNode.gain.setValueAtTime(gain, startTime);
+  }
+  
+  console.log(`Playing ${soundFile} ${plays} time(s) at volume ${gain}, fade-in ${fadeInSeconds}s`);
+  
+  for (let i = 0; i < plays; i++) {
+    const playStart = startTime + i * (soundSeconds + REPEAT_GAP_SECONDS);
+    if (tonePattern) {
+      scheduleTonePattern(context, gainNode, tonePattern, playStart);
+    } else {
+      const source = context.createBufferSource();
+      source.buffer = buffer;
+      source.connect(gainNode);
+      source.start(playStart);
     }
-  });
-} 
\ No newline at end of file
+  }
+  
+  const endTime = startTime + plays * soundSeconds + (plays - 1) * REPEAT_GAP_SECONDS;
+  await new Promise(resolve => setTimeout(resolve, Math.max(0, endTime - context.currentTime) * 1000));
+  gainNode.disconnect();
+  console.log('Sound playback completed');
+}
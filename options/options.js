@@ -7,6 +7,12 @@
 
 import { applyTheme } from '../utils/theme-utils.js';
 import { languageManager } from '../utils/language-manager.js'; // Import languageManager
+import { ShortBreakLength, SoundEvent, PRESET_FIELDS, MAX_PRESETS, MAX_WORKING_HOURS_RANGES, createPreset, getDefaultSettings, validateSettings } from '../storage/settings.js';
+import { getBreakPlanInput, generateBreakTimes, getFatigueFactor } from '../background/break-strategies.js';
+import { BUNDLED_SOUNDS, getBundledSound, getBundledSoundPath, getSoundsByCategory } from '../utils/sound-registry.js';
+import { ToneWaveform, MAX_TONE_PATTERNS, MAX_TONE_PATTERN_NAME_LENGTH, TONE_PATTERN_LIMITS, getTonePatternValue, getTonePatternId, createTonePattern, validateTonePattern, scheduleTonePattern } from '../utils/tone-patterns.js';
+import { MIN_CHECKED_BREAK_SECONDS } from '../storage/statistics.js';
+import { MAX_CUSTOM_SOUNDS, getCustomSoundValue, getCustomSoundId, getCustomSoundError, listCustomSounds, getCustomSound, addCustomSound, deleteCustomSound } from '../storage/custom-sounds.js';
 
 // Function to apply internationalized strings to the page
 function applyI18n() {
@@ -50,12 +56,43 @@ function applyI18n() {
 // DOM Elements
 const shortPeriodDurationInput = document.getElementById('shortPeriodDuration');
 const shortBreakDurationInput = document.getElementById('shortBreakDuration');
+const shortBreakLengthModeSelect = document.getElementById('shortBreakLengthMode');
+const shortBreakLengthDescription = document.getElementById('shortBreakLengthDescription');
+const shortBreakMinDurationInput = document.getElementById('shortBreakMinDuration');
+const shortBreakMaxDurationInput = document.getElementById('shortBreakMaxDuration');
+const breakStrategySelect = document.getElementById('breakStrategySelect');
+const breakStrategyDescription = document.getElementById('breakStrategyDescription');
+const breaksPerHourInput = document.getElementById('breaksPerHour');
+const minBreakGapInput = document.getElementById('minBreakGap');
+const maxBreakGapInput = document.getElementById('maxBreakGap');
+const startQuietMinutesInput = document.getElementById('startQuietMinutes');
+const endQuietMinutesInput = document.getElementById('endQuietMinutes');
+const schedulePreview = document.getElementById('schedulePreview');
+const schedulePreviewSummary = document.getElementById('schedulePreviewSummary');
+const regeneratePreviewButton = document.getElementById('regeneratePreviewButton');
 const longPeriodDurationInput = document.getElementById('longPeriodDuration');
 const longBreakDurationInput = document.getElementById('longBreakDuration');
+const cumulativeLongBreaksCheckbox = document.getElementById('cumulativeLongBreaks');
+const cyclesPerPlanInput = document.getElementById('cyclesPerPlan');
+const extendedBreakDurationInput = document.getElementById('extendedBreakDuration');
 const notificationSoundCheckbox = document.getElementById('notificationSound');
 const autoStartNextSessionCheckbox = document.getElementById('autoStartNextSession');
-const shortBreakSoundSelect = document.getElementById('shortBreakSoundSelect');
-const longBreakSoundSelect = document.getElementById('longBreakSoundSelect');
+const maxSnoozesPerSessionInput = document.getElementById('maxSnoozesPerSession');
+const breakReminderEnabledCheckbox = document.getElementById('breakReminderEnabled');
+const breakCheckNotice = document.getElementById('breakCheckNotice');
+const dayStartHourSelect = document.getElementById('dayStartHourSelect');
+const eventSoundGridBody = document.querySelector('#eventSoundGrid tbody');
+const preBreakWarningSecondsInput = document.getElementById('preBreakWarningSeconds');
+const masterVolumeInput = document.getElementById('masterVolume');
+const masterVolumeValue = document.getElementById('masterVolumeValue');
+const soundFadeInSecondsInput = document.getElementById('soundFadeInSeconds');
+const longBreakSoundRepeatsInput = document.getElementById('longBreakSoundRepeats');
+const customSoundList = document.getElementById('customSoundList');
+const customSoundInput = document.getElementById('customSoundInput');
+const uploadCustomSoundButton = document.getElementById('uploadCustomSoundButton');
+const tonePatternList = document.getElementById('tonePatternList');
+const addTonePatternButton = document.getElementById('addTonePatternButton');
+const soundCreditsList = document.getElementById('soundCreditsList');
 const themeRadios = document.getElementsByName('theme');
 const primaryColorInput = document.getElementById('primaryColor');
 const secondaryColorInput = document.getElementById('secondaryColor');
@@ -64,21 +101,99 @@ const secondaryColorValue = secondaryColorInput.nextElementSibling;
 const saveButton = document.getElementById('saveButton');
 const resetButton = document.getElementById('resetButton');
 const languageSelect = document.getElementById('languageSelect');
+const presetSelect = document.getElementById('presetSelect');
+const newPresetButton = document.getElementById('newPresetButton');
+const renamePresetButton = document.getElementById('renamePresetButton');
+const duplicatePresetButton = document.getElementById('duplicatePresetButton');
+const deletePresetButton = document.getElementById('deletePresetButton');
+const replanOnSettingsChangeCheckbox = document.getElementById('replanOnSettingsChange');
+const adaptiveBreaksEnabledCheckbox = document.getElementById('adaptiveBreaksEnabled');
+const adaptiveFreeHoursInput = document.getElementById('adaptiveFreeHours');
+const adaptiveIncreasePerHourInput = document.getElementById('adaptiveIncreasePerHour');
+const adaptiveMaxIncreaseInput = document.getElementById('adaptiveMaxIncrease');
+const adaptiveCurveElement = document.getElementById('adaptiveCurve');
+const idlePauseEnabledCheckbox = document.getElementById('idlePauseEnabled');
+const idleThresholdMinutesInput = document.getElementById('idleThresholdMinutes');
+const workingHoursEnabledCheckbox = document.getElementById('workingHoursEnabled');
+const workingHoursList = document.getElementById('workingHoursList');
+const addWorkingHoursButton = document.getElementById('addWorkingHoursButton');
+
+// Weekdays in the order the schedule editor shows them, 0 = Sunday
+const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+// Message keys of the sound events, in the order the sound grid shows them
+const SOUND_EVENT_KEYS = {
+  [SoundEvent.SHORT_BREAK]: 'optionsSoundEventShortBreak',
+  [SoundEvent.SHORT_BREAK_END]: 'optionsSoundEventShortBreakEnd',
+  [SoundEvent.LONG_BREAK]: 'optionsSoundEventLongBreak',
+  [SoundEvent.LONG_BREAK_END]: 'optionsSoundEventLongBreakEnd',
+  [SoundEvent.SESSION_COMPLETE]: 'optionsSoundEventSessionComplete',
+  [SoundEvent.PRE_BREAK_WARNING]: 'optionsSoundEventPreBreakWarning'
+};
+
+// Message keys of the tone pattern waveforms, see ToneWaveform
+const WAVEFORM_KEYS = {
+  [ToneWaveform.SINE]: 'optionsWaveformSine',
+  [ToneWaveform.TRIANGLE]: 'optionsWaveformTriangle',
+  [ToneWaveform.SQUARE]: 'optionsWaveformSquare',
+  [ToneWaveform.SAWTOOTH]: 'optionsWaveformSawtooth'
+};
+
+// Numeric fields of a tone pattern and the message keys of their labels
+const TONE_PATTERN_FIELD_KEYS = {
+  frequency: 'optionsToneFrequencyLabel',
+  duration: 'optionsToneDurationLabel',
+  gap: 'optionsToneGapLabel',
+  repeats: 'optionsToneRepeatsLabel'
+};
+
+// Message keys of the sound categories, see SoundCategory
+const SOUND_CATEGORY_KEYS = {
+  bells: 'optionsSoundCategoryBells',
+  tones: 'optionsSoundCategoryTones',
+  musical: 'optionsSoundCategoryMusical',
+  pops: 'optionsSoundCategoryPops',
+  interface: 'optionsSoundCategoryInterface'
+};
 
 // Current settings
 let currentSettings = null;
 
+// Working copy of the presets, saved together with the other settings
+let presets = [];
+let selectedPresetId = null;
+
+// Working copy of the working-hours ranges
+let workingHours = [];
+
+// Custom sounds stored in IndexedDB, without their audio data
+let customSounds = [];
+
+// Working copy of the tone patterns
+let tonePatterns = [];
+
+// Controls of the sound grid, keyed by sound event
+const eventSoundControls = {};
+
 /**
  * Initialize the options page
  */
 async function initOptions() {
   // Populate sound selects with available sound files
+  renderEventSoundGrid();
   await populateSoundSelects();
+  populateDayStartHourSelect();
   // Load current settings
   await loadSettings();
   // Set locale in languageManager before applying I18n
   await languageManager.setLocale(currentSettings.language || 'en');
   applyI18n(); // Apply translations AFTER locale is set
+  renderWorkingHours(); // Weekday names follow the locale as well
+  updateSoundCategoryLabels(); // and so do the sound categories and credits
+  renderCustomSounds();
+  renderTonePatterns();
+  renderSoundCredits();
+  updateSchedulePreview(); // and so does the sample schedule summary
   // Set up event listeners
   setupEventListeners();
   // Apply theme to options page
@@ -86,40 +201,434 @@ async function initOptions() {
 }
 
 /**
- * Populate the sound selects with available sound files in the sounds directory
+ * Populate the sound selects with the bundled sounds, grouped by category,
+ * followed by the custom sounds
  */
 async function populateSoundSelects() {
-  // List of sound files (update this if you add/remove files)
-  const soundFiles = [
-    "mixkit-bell-notification-933.wav",
-    "mixkit-clear-announce-tones-2861.wav",
-    "mixkit-confirmation-tone-2867.wav",
-    "mixkit-correct-answer-reward-952.wav",
-    "mixkit-correct-answer-tone-2870.wav",
-    "mixkit-doorbell-tone-2864.wav",
-    "mixkit-guitar-notification-alert-2320.wav",
-    "mixkit-happy-bells-notification-937.wav",
-    "mixkit-long-pop-2358.wav",
-    "mixkit-magic-marimba-2820.wav",
-    "mixkit-message-pop-alert-2354.mp3",
-    "mixkit-positive-notification-951.wav",
-    "mixkit-sci-fi-click-900.wav",
-    "mixkit-sci-fi-confirmation-914.wav",
-    "mixkit-software-interface-back-2575.wav",
-    "mixkit-software-interface-start-2574.wav",
-    "mixkit-tile-game-reveal-960.wav"
-  ];
-  [shortBreakSoundSelect, longBreakSoundSelect].forEach(select => {
+  getSoundSelects().forEach(select => {
     select.innerHTML = '';
-    soundFiles.forEach(file => {
+    getSoundsByCategory().forEach(({ category, sounds }) => {
+      const group = document.createElement('optgroup');
+      group.dataset.category = category;
+      sounds.forEach(sound => {
+        const option = document.createElement('option');
+        option.value = sound.file;
+        option.textContent = sound.label;
+        group.appendChild(option);
+      });
+      select.appendChild(group);
+    });
+  });
+  updateSoundCategoryLabels();
+  
+  // Custom sounds are added before the settings are loaded, so a selected one is found
+  try {
+    customSounds = await listCustomSounds();
+  } catch (error) {
+    console.error('Error loading custom sounds:', error);
+  }
+  updateUserSoundOptions();
+}
+
+/**
+ * Build the sound grid: a row per sound event with its switch, sound,
+ * volume and preview button. Labels are translated by applyI18n().
+ */
+function renderEventSoundGrid() {
+  eventSoundGridBody.innerHTML = '';
+  
+  Object.entries(SOUND_EVENT_KEYS).forEach(([event, labelKey]) => {
+    const row = document.createElement('tr');
+    
+    const labelCell = document.createElement('td');
+    const label = document.createElement('span');
+    label.setAttribute('data-i18n-key', labelKey);
+    labelCell.appendChild(label);
+    row.appendChild(labelCell);
+    
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.addEventListener('change', () => saveButton.disabled = false);
+    const enabledCell = document.createElement('td');
+    enabledCell.appendChild(enabled);
+    row.appendChild(enabledCell);
+    
+    const select = document.createElement('select');
+    select.addEventListener('change', () => saveButton.disabled = false);
+    const selectCell = document.createElement('td');
+    selectCell.appendChild(select);
+    row.appendChild(selectCell);
+    
+    const volume = document.createElement('input');
+    volume.type = 'range';
+    volume.min = '0';
+    volume.max = '100';
+    volume.step = '5';
+    const volumeValue = document.createElement('span');
+    volumeValue.className = 'event-sound-volume-value';
+    volume.addEventListener('input', () => {
+      volumeValue.textContent = `${volume.value}%`;
+      saveButton.disabled = false;
+    });
+    const volumeCell = document.createElement('td');
+    volumeCell.appendChild(volume);
+    volumeCell.appendChild(volumeValue);
+    row.appendChild(volumeCell);
+    
+    const previewButton = document.createElement('button');
+    previewButton.type = 'button';
+    previewButton.className = 'preview-sound-btn';
+    previewButton.setAttribute('data-i18n-key', 'optionsPreviewButtonText');
+    previewButton.addEventListener('click', () => {
+      previewSound(select.value, (Number(masterVolumeInput.value) / 100) * (Number(volume.value) / 100));
+    });
+    const previewCell = document.createElement('td');
+    previewCell.appendChild(previewButton);
+    row.appendChild(previewCell);
+    
+    eventSoundControls[event] = { enabled, select, volume, volumeValue };
+    eventSoundGridBody.appendChild(row);
+  });
+}
+
+/**
+ * Get the sound selects of the sound grid
+ * @returns {Array<HTMLSelectElement>} One select per sound event
+ */
+function getSoundSelects() {
+  return Object.values(eventSoundControls).map(controls => controls.select);
+}
+
+/**
+ * Show the sound settings of every event in the sound grid
+ * @param {Object} eventSounds - Sound settings keyed by sound event
+ */
+function fillEventSoundGrid(eventSounds) {
+  Object.entries(eventSoundControls).forEach(([event, controls]) => {
+    const eventSound = eventSounds[event];
+    controls.enabled.checked = eventSound.enabled;
+    controls.volume.value = eventSound.volume;
+    controls.volumeValue.textContent = `${eventSound.volume}%`;
+  });
+  // Tone patterns come with the settings, so their options are added before selecting
+  updateUserSoundOptions(eventSounds);
+}
+
+/**
+ * Read the sound grid
+ * @returns {Object} Sound settings keyed by sound event
+ */
+function readEventSoundGrid() {
+  const eventSounds = {};
+  Object.entries(eventSoundControls).forEach(([event, controls]) => {
+    eventSounds[event] = {
+      sound: controls.select.value,
+      enabled: controls.enabled.checked,
+      volume: parseInt(controls.volume.value, 10)
+    };
+  });
+  return eventSounds;
+}
+
+/**
+ * Label the sound category groups of the sound selects in the current language
+ */
+function updateSoundCategoryLabels() {
+  document.querySelectorAll('optgroup[data-category]').forEach(group => {
+    group.label = languageManager.get(SOUND_CATEGORY_KEYS[group.dataset.category]);
+  });
+}
+
+/**
+ * Render the credits of the bundled sounds from the sound registry
+ */
+function renderSoundCredits() {
+  soundCreditsList.innerHTML = '';
+  
+  BUNDLED_SOUNDS.forEach(sound => {
+    const item = document.createElement('li');
+    
+    const label = document.createElement('span');
+    label.className = 'custom-sound-name';
+    label.textContent = sound.label;
+    item.appendChild(label);
+    
+    const details = document.createElement('span');
+    details.className = 'range-hint';
+    details.textContent = languageManager.get("optionsSoundCreditDetails", [
+      sound.duration.toFixed(1),
+      sound.file
+    ]);
+    item.appendChild(details);
+    
+    [[sound.attribution.author, sound.attribution.source], [sound.attribution.license, sound.attribution.licenseUrl]].forEach(([text, href]) => {
+      const link = document.createElement('a');
+      link.href = href;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = text;
+      item.appendChild(link);
+    });
+    
+    soundCreditsList.appendChild(item);
+  });
+}
+
+/**
+ * Add the custom sounds and tone patterns to the sound selects, keeping the
+ * selection. A select whose sound was deleted falls back to its default sound.
+ * @param {Object} [selection] - Sound settings keyed by sound event to select
+ *   instead of the current selection
+ */
+function updateUserSoundOptions(selection = null) {
+  const defaults = getDefaultSettings();
+  
+  Object.entries(eventSoundControls).forEach(([event, { select }]) => {
+    const defaultSound = defaults.eventSounds[event].sound;
+    const selected = selection ? selection[event].sound : select.value;
+    select.querySelectorAll('optgroup.custom-sound-group, optgroup.tone-pattern-group').forEach(group => group.remove());
+    
+    if (customSounds.length > 0) {
+      const group = document.createElement('optgroup');
+      group.className = 'custom-sound-group';
+      group.label = languageManager.get("optionsCustomSoundsGroupLabel");
+      customSounds.forEach(sound => {
+        const option = document.createElement('option');
+        option.value = getCustomSoundValue(sound.id);
+        option.textContent = sound.name;
+        group.appendChild(option);
+      });
+      select.appendChild(group);
+    }
+    
+    if (tonePatterns.length > 0) {
+      const group = document.createElement('optgroup');
+      group.className = 'tone-pattern-group';
+      group.label = languageManager.get("optionsTonePatternsGroupLabel");
+      tonePatterns.forEach(pattern => {
+        const option = document.createElement('option');
+        option.value = getTonePatternValue(pattern.id);
+        option.textContent = pattern.name || languageManager.get("optionsUnnamedTonePattern");
+        group.appendChild(option);
+      });
+      select.appendChild(group);
+    }
+    
+    select.value = selected;
+    if (!selected || select.value !== selected) {
+      select.value = defaultSound;
+      saveButton.disabled = false;
+    }
+  });
+}
+
+/**
+ * Render the list of custom sounds and refresh the sound selects
+ */
+function renderCustomSounds() {
+  customSoundList.innerHTML = '';
+  
+  customSounds.forEach(sound => {
+    const row = document.createElement('div');
+    row.className = 'custom-sound-item';
+    
+    const name = document.createElement('span');
+    name.className = 'custom-sound-name';
+    name.textContent = sound.name;
+    row.appendChild(name);
+    
+    const details = document.createElement('span');
+    details.className = 'range-hint';
+    details.textContent = languageManager.get("optionsCustomSoundDetails", [
+      sound.duration.toFixed(1),
+      String(Math.max(1, Math.round(sound.size / 1024)))
+    ]);
+    row.appendChild(details);
+    
+    const previewButton = document.createElement('button');
+    previewButton.type = 'button';
+    previewButton.className = 'preview-sound-btn';
+    previewButton.textContent = languageManager.get("optionsPreviewButtonText");
+    previewButton.addEventListener('click', () => previewSound(getCustomSoundValue(sound.id)));
+    row.appendChild(previewButton);
+    
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'preset-btn';
+    removeButton.textContent = languageManager.get("optionsRemoveCustomSoundButton");
+    removeButton.addEventListener('click', () => removeCustomSound(sound));
+    row.appendChild(removeButton);
+    
+    customSoundList.appendChild(row);
+  });
+  
+  uploadCustomSoundButton.disabled = customSounds.length >= MAX_CUSTOM_SOUNDS;
+  updateUserSoundOptions();
+}
+
+/**
+ * Show the working copy of the tone patterns in the pattern editor and
+ * refresh the sound selects
+ */
+function renderTonePatterns() {
+  tonePatternList.innerHTML = '';
+  
+  tonePatterns.forEach((pattern, index) => {
+    const row = document.createElement('div');
+    row.className = 'tone-pattern-item';
+    
+    const name = document.createElement('input');
+    name.type = 'text';
+    name.className = 'tone-pattern-name';
+    name.maxLength = MAX_TONE_PATTERN_NAME_LENGTH;
+    name.value = pattern.name;
+    name.addEventListener('input', () => {
+      pattern.name = name.value;
+      updateUserSoundOptions();
+      saveButton.disabled = false;
+    });
+    row.appendChild(name);
+    
+    const waveform = document.createElement('select');
+    Object.entries(WAVEFORM_KEYS).forEach(([value, key]) => {
       const option = document.createElement('option');
-      option.value = file;
-      // Remove 'mixkit-' prefix, trailing dash-number, and file extension for display
-      let label = file.replace(/^mixkit-/, '').replace(/-\d+/, '').replace(/\.[^.]+$/, '');
-      option.textContent = label;
-      select.appendChild(option);
+      option.value = value;
+      option.textContent = languageManager.get(key);
+      waveform.appendChild(option);
+    });
+    waveform.value = pattern.waveform;
+    waveform.addEventListener('change', () => {
+      pattern.waveform = waveform.value;
+      saveButton.disabled = false;
+    });
+    row.appendChild(waveform);
+    
+    Object.entries(TONE_PATTERN_FIELD_KEYS).forEach(([field, key]) => {
+      const label = document.createElement('label');
+      label.className = 'tone-pattern-field';
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.min = TONE_PATTERN_LIMITS[field].min;
+      input.max = TONE_PATTERN_LIMITS[field].max;
+      input.value = pattern[field];
+      input.addEventListener('input', () => {
+        pattern[field] = parseFloat(input.value);
+        saveButton.disabled = false;
+      });
+      label.appendChild(input);
+      label.appendChild(document.createTextNode(languageManager.get(key)));
+      row.appendChild(label);
     });
+    
+    const previewButton = document.createElement('button');
+    previewButton.type = 'button';
+    previewButton.className = 'preview-sound-btn';
+    previewButton.textContent = languageManager.get("optionsPreviewButtonText");
+    previewButton.addEventListener('click', () => previewSound(getTonePatternValue(pattern.id), Number(masterVolumeInput.value) / 100));
+    row.appendChild(previewButton);
+    
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'preset-btn';
+    removeButton.textContent = languageManager.get("optionsRemoveTonePatternButton");
+    removeButton.addEventListener('click', () => {
+      tonePatterns.splice(index, 1);
+      renderTonePatterns();
+      saveButton.disabled = false;
+    });
+    row.appendChild(removeButton);
+    
+    tonePatternList.appendChild(row);
   });
+  
+  addTonePatternButton.disabled = tonePatterns.length >= MAX_TONE_PATTERNS;
+  updateUserSoundOptions();
+}
+
+/**
+ * Add a tone pattern with a short double beep
+ */
+function addTonePattern() {
+  if (tonePatterns.length >= MAX_TONE_PATTERNS) {
+    return;
+  }
+  
+  tonePatterns.push(createTonePattern(languageManager.get("optionsNewTonePatternName", [String(tonePatterns.length + 1)])));
+  renderTonePatterns();
+  saveButton.disabled = false;
+}
+
+/**
+ * Read the length of an audio file by loading its metadata
+ * @param {File} file - Audio file
+ * @returns {Promise<number>} Promise that resolves with the length in seconds,
+ *   or NaN if the browser cannot decode the file
+ */
+function readAudioDuration(file) {
+  return new Promise((resolve) => {
+    const url = URL.createObjectURL(file);
+    const audio = new Audio();
+    const finish = (duration) => {
+      URL.revokeObjectURL(url);
+      resolve(duration);
+    };
+    
+    audio.preload = 'metadata';
+    audio.onloadedmetadata = () => finish(audio.duration);
+    audio.onerror = () => finish(NaN);
+    audio.src = url;
+  });
+}
+
+/**
+ * Check an uploaded file and store it as a custom sound
+ * @param {File} file - Uploaded audio file
+ */
+async function uploadCustomSound(file) {
+  const duration = await readAudioDuration(file);
+  const errorKey = getCustomSoundError(file, duration, customSounds.length);
+  if (errorKey) {
+    showErrorMessage(languageManager.get(errorKey));
+    return;
+  }
+  
+  try {
+    const sound = await addCustomSound(file, duration);
+    customSounds = [...customSounds, sound];
+    renderCustomSounds();
+    showSuccessMessage(languageManager.get("customSoundAdded", sound.name));
+  } catch (error) {
+    console.error('Error storing custom sound:', error);
+    showErrorMessage(languageManager.get("errorCustomSoundStore"));
+  }
+}
+
+/**
+ * Delete a custom sound; sound selects that used it fall back to their default
+ * @param {Object} sound - Custom sound
+ */
+async function removeCustomSound(sound) {
+  try {
+    await deleteCustomSound(sound.id);
+    customSounds = customSounds.filter(item => item.id !== sound.id);
+    renderCustomSounds();
+  } catch (error) {
+    console.error('Error deleting custom sound:', error);
+    showErrorMessage(languageManager.get("errorCustomSoundStore"));
+  }
+}
+
+/**
+ * Populate the day start select with the hours of a day
+ */
+function populateDayStartHourSelect() {
+  dayStartHourSelect.innerHTML = '';
+  for (let hour = 0; hour < 24; hour++) {
+    const option = document.createElement('option');
+    option.value = hour;
+    option.textContent = `${hour.toString().padStart(2, '0')}:00`;
+    dayStartHourSelect.appendChild(option);
+  }
 }
 
 /**
@@ -140,23 +649,71 @@ async function loadSettings() {
  * @param {Object} settings - Settings object
  */
 function populateFormWithSettings(settings) {
+  // Presets
+  presets = (settings.presets || []).map(preset => ({ ...preset }));
+  selectedPresetId = settings.activePresetId || null;
+  populatePresetSelect();
+  
   // Timer settings
   shortPeriodDurationInput.value = settings.shortPeriodDuration;
   shortBreakDurationInput.value = settings.shortBreakDuration;
   longPeriodDurationInput.value = settings.longPeriodDuration;
   longBreakDurationInput.value = settings.longBreakDuration;
+  cumulativeLongBreaksCheckbox.checked = settings.cumulativeLongBreaks;
+  cyclesPerPlanInput.value = settings.cyclesPerPlan;
+  extendedBreakDurationInput.value = settings.extendedBreakDuration;
   
-  // Sound selections
-  if (settings.shortBreakSound) {
-    shortBreakSoundSelect.value = settings.shortBreakSound;
-  }
-  if (settings.longBreakSound) {
-    longBreakSoundSelect.value = settings.longBreakSound;
-  }
+  // Short break length
+  shortBreakLengthModeSelect.value = settings.shortBreakLengthMode;
+  shortBreakMinDurationInput.value = settings.shortBreakMinDuration;
+  shortBreakMaxDurationInput.value = settings.shortBreakMaxDuration;
+  updateShortBreakLengthMode();
+  
+  // Break scheduling
+  breakStrategySelect.value = settings.breakStrategy;
+  updateBreakStrategyDescription();
+  breaksPerHourInput.value = settings.breaksPerHour;
+  minBreakGapInput.value = settings.minBreakGap;
+  maxBreakGapInput.value = settings.maxBreakGap;
+  startQuietMinutesInput.value = settings.startQuietMinutes;
+  endQuietMinutesInput.value = settings.endQuietMinutes;
+  replanOnSettingsChangeCheckbox.checked = settings.replanOnSettingsChange;
+  updateSchedulePreview();
+  
+  // Adaptive breaks
+  adaptiveBreaksEnabledCheckbox.checked = settings.adaptiveBreaksEnabled;
+  adaptiveFreeHoursInput.value = settings.adaptiveFreeHours;
+  adaptiveIncreasePerHourInput.value = settings.adaptiveIncreasePerHour;
+  adaptiveMaxIncreaseInput.value = settings.adaptiveMaxIncrease;
+  updateAdaptiveCurve();
+  
+  // Sound selections; the tone patterns have to be known before the grid is filled
+  tonePatterns = (settings.tonePatterns || []).map(pattern => ({ ...pattern }));
+  renderTonePatterns();
+  fillEventSoundGrid(settings.eventSounds);
+  preBreakWarningSecondsInput.value = settings.preBreakWarningSeconds;
+  masterVolumeInput.value = settings.masterVolume;
+  masterVolumeValue.textContent = `${settings.masterVolume}%`;
+  soundFadeInSecondsInput.value = settings.soundFadeInSeconds;
+  longBreakSoundRepeatsInput.value = settings.longBreakSoundRepeats;
 
   // Notification settings
   notificationSoundCheckbox.checked = settings.notificationSound;
   autoStartNextSessionCheckbox.checked = settings.autoStartNextSession;
+  maxSnoozesPerSessionInput.value = settings.maxSnoozesPerSession;
+  breakReminderEnabledCheckbox.checked = settings.breakReminderEnabled;
+  
+  // Working hours
+  workingHoursEnabledCheckbox.checked = settings.workingHoursEnabled;
+  workingHours = (settings.workingHours || []).map(range => ({ ...range, days: [...range.days] }));
+  renderWorkingHours();
+  
+  // Away detection
+  idlePauseEnabledCheckbox.checked = settings.idlePauseEnabled;
+  idleThresholdMinutesInput.value = settings.idleThresholdMinutes;
+  
+  // Statistics settings
+  dayStartHourSelect.value = settings.dayStartHour || 0;
   
   // Theme settings
   setRadioValue(themeRadios, settings.theme);
@@ -180,34 +737,98 @@ function populateFormWithSettings(settings) {
  * Set up event listeners for form elements
  */
 function setupEventListeners() {
-  // Sound preview buttons
-  const previewShortBreakSoundBtn = document.getElementById('previewShortBreakSound');
-  const previewLongBreakSoundBtn = document.getElementById('previewLongBreakSound');
-
-  if (previewShortBreakSoundBtn && shortBreakSoundSelect) {
-    previewShortBreakSoundBtn.addEventListener('click', () => {
-      previewSound(shortBreakSoundSelect.value);
-    });
-  }
-  if (previewLongBreakSoundBtn && longBreakSoundSelect) {
-    previewLongBreakSoundBtn.addEventListener('click', () => {
-      previewSound(longBreakSoundSelect.value);
-    });
-  }
+  // Presets
+  presetSelect.addEventListener('change', () => selectPreset(presetSelect.value));
+  newPresetButton.addEventListener('click', createNewPreset);
+  renamePresetButton.addEventListener('click', renameSelectedPreset);
+  duplicatePresetButton.addEventListener('click', duplicateSelectedPreset);
+  deletePresetButton.addEventListener('click', deleteSelectedPreset);
 
   // Timer settings
   shortPeriodDurationInput.addEventListener('input', () => saveButton.disabled = false);
-  shortBreakDurationInput.addEventListener('input', () => saveButton.disabled = false);
+  shortBreakDurationInput.addEventListener('input', () => {
+    updateBreakCheckNotice();
+    saveButton.disabled = false;
+  });
   longPeriodDurationInput.addEventListener('input', () => saveButton.disabled = false);
   longBreakDurationInput.addEventListener('input', () => saveButton.disabled = false);
+  cumulativeLongBreaksCheckbox.addEventListener('change', () => saveButton.disabled = false);
+  cyclesPerPlanInput.addEventListener('input', () => saveButton.disabled = false);
+  extendedBreakDurationInput.addEventListener('input', () => saveButton.disabled = false);
 
-  // Sound selection
-  shortBreakSoundSelect.addEventListener('change', () => saveButton.disabled = false);
-  longBreakSoundSelect.addEventListener('change', () => saveButton.disabled = false);
+  // Short break length
+  shortBreakLengthModeSelect.addEventListener('change', () => {
+    updateShortBreakLengthMode();
+    saveButton.disabled = false;
+  });
+  shortBreakMinDurationInput.addEventListener('input', () => saveButton.disabled = false);
+  shortBreakMaxDurationInput.addEventListener('input', () => {
+    updateBreakCheckNotice();
+    saveButton.disabled = false;
+  });
+
+  // Break scheduling; the sample schedule follows every change, including
+  // the period lengths above
+  breakStrategySelect.addEventListener('change', () => {
+    updateBreakStrategyDescription();
+    saveButton.disabled = false;
+  });
+  [breaksPerHourInput, minBreakGapInput, maxBreakGapInput, startQuietMinutesInput, endQuietMinutesInput].forEach(input => {
+    input.addEventListener('input', () => saveButton.disabled = false);
+  });
+  [breakStrategySelect, shortPeriodDurationInput, longPeriodDurationInput, breaksPerHourInput,
+    minBreakGapInput, maxBreakGapInput, startQuietMinutesInput, endQuietMinutesInput].forEach(input => {
+    input.addEventListener('input', updateSchedulePreview);
+  });
+  regeneratePreviewButton.addEventListener('click', updateSchedulePreview);
+  replanOnSettingsChangeCheckbox.addEventListener('change', () => saveButton.disabled = false);
+
+  // Adaptive breaks
+  adaptiveBreaksEnabledCheckbox.addEventListener('change', () => saveButton.disabled = false);
+  [adaptiveFreeHoursInput, adaptiveIncreasePerHourInput, adaptiveMaxIncreaseInput].forEach(input => {
+    input.addEventListener('input', () => {
+      updateAdaptiveCurve();
+      saveButton.disabled = false;
+    });
+  });
+
+  // Sound selection; the sound grid sets up its own listeners
+  preBreakWarningSecondsInput.addEventListener('input', () => saveButton.disabled = false);
+  masterVolumeInput.addEventListener('input', () => {
+    masterVolumeValue.textContent = `${masterVolumeInput.value}%`;
+    saveButton.disabled = false;
+  });
+  soundFadeInSecondsInput.addEventListener('input', () => saveButton.disabled = false);
+  longBreakSoundRepeatsInput.addEventListener('input', () => saveButton.disabled = false);
+  
+  addTonePatternButton.addEventListener('click', addTonePattern);
+  
+  // Custom sounds are stored right away, independent of the save button
+  uploadCustomSoundButton.addEventListener('click', () => customSoundInput.click());
+  customSoundInput.addEventListener('change', async () => {
+    const file = customSoundInput.files[0];
+    customSoundInput.value = '';
+    if (file) {
+      await uploadCustomSound(file);
+    }
+  });
+
+  // Working hours
+  workingHoursEnabledCheckbox.addEventListener('change', () => saveButton.disabled = false);
+  addWorkingHoursButton.addEventListener('click', addWorkingHoursRange);
+
+  // Away detection
+  idlePauseEnabledCheckbox.addEventListener('change', () => saveButton.disabled = false);
+  idleThresholdMinutesInput.addEventListener('input', () => saveButton.disabled = false);
 
   // Notification settings
   notificationSoundCheckbox.addEventListener('change', () => saveButton.disabled = false);
   autoStartNextSessionCheckbox.addEventListener('change', () => saveButton.disabled = false);
+  maxSnoozesPerSessionInput.addEventListener('input', () => saveButton.disabled = false);
+  breakReminderEnabledCheckbox.addEventListener('change', () => saveButton.disabled = false);
+  
+  // Statistics settings
+  dayStartHourSelect.addEventListener('change', () => saveButton.disabled = false);
 
   // Theme settings
   Array.from(themeRadios).forEach(radio => radio.addEventListener('change', (e) => {
@@ -243,16 +864,33 @@ function setupEventListeners() {
 async function saveSettings() {
   // Gather values from form
   const newSettings = {
-    shortPeriodDuration: parseInt(shortPeriodDurationInput.value, 10),
-    shortBreakDuration: parseInt(shortBreakDurationInput.value, 10),
-    longPeriodDuration: parseInt(longPeriodDurationInput.value, 10),
-    longBreakDuration: parseInt(longBreakDurationInput.value, 10),
-    shortBreakSound: shortBreakSoundSelect.value,
-    longBreakSound: longBreakSoundSelect.value,
+    ...readTimerForm(),
+    ...readBreakSchedulingForm(),
+    shortBreakLengthMode: shortBreakLengthModeSelect.value,
+    shortBreakMinDuration: parseInt(shortBreakMinDurationInput.value, 10),
+    shortBreakMaxDuration: parseInt(shortBreakMaxDurationInput.value, 10),
+    cumulativeLongBreaks: cumulativeLongBreaksCheckbox.checked,
     notificationSound: notificationSoundCheckbox.checked,
+    eventSounds: readEventSoundGrid(),
+    preBreakWarningSeconds: parseInt(preBreakWarningSecondsInput.value, 10),
+    masterVolume: parseInt(masterVolumeInput.value, 10),
+    soundFadeInSeconds: parseFloat(soundFadeInSecondsInput.value),
+    longBreakSoundRepeats: parseInt(longBreakSoundRepeatsInput.value, 10),
+    tonePatterns,
     autoStartNextSession: autoStartNextSessionCheckbox.checked,
+    maxSnoozesPerSession: parseInt(maxSnoozesPerSessionInput.value, 10),
+    breakReminderEnabled: breakReminderEnabledCheckbox.checked,
+    replanOnSettingsChange: replanOnSettingsChangeCheckbox.checked,
+    ...readAdaptiveBreaksForm(),
+    dayStartHour: parseInt(dayStartHourSelect.value, 10),
+    idlePauseEnabled: idlePauseEnabledCheckbox.checked,
+    idleThresholdMinutes: parseInt(idleThresholdMinutesInput.value, 10),
+    workingHoursEnabled: workingHoursEnabledCheckbox.checked,
+    workingHours,
     theme: getRadioValue(themeRadios),
-    language: languageSelect ? languageSelect.value : (currentSettings ? currentSettings.language : 'en')
+    language: languageSelect ? languageSelect.value : (currentSettings ? currentSettings.language : 'en'),
+    presets,
+    activePresetId: selectedPresetId
   };
 
   let validationError = false;
@@ -267,6 +905,13 @@ async function saveSettings() {
     validationError = true;
   }
   
+  if (isNaN(newSettings.shortBreakMinDuration) || isNaN(newSettings.shortBreakMaxDuration) ||
+      newSettings.shortBreakMinDuration < 5 || newSettings.shortBreakMaxDuration > 120 ||
+      newSettings.shortBreakMinDuration >= newSettings.shortBreakMaxDuration) {
+    showErrorMessage(languageManager.get("errorShortBreakLengthRange"));
+    validationError = true;
+  }
+  
   if (isNaN(newSettings.longPeriodDuration) || newSettings.longPeriodDuration < 15 || newSettings.longPeriodDuration > 240) {
     showErrorMessage(languageManager.get("errorLongPeriodDurationRange"));
     validationError = true;
@@ -277,6 +922,81 @@ async function saveSettings() {
     validationError = true;
   }
   
+  if (isNaN(newSettings.cyclesPerPlan) || newSettings.cyclesPerPlan < 1 || newSettings.cyclesPerPlan > 12) {
+    showErrorMessage(languageManager.get("errorCyclesPerPlanRange"));
+    validationError = true;
+  }
+  
+  if (isNaN(newSettings.extendedBreakDuration) || newSettings.extendedBreakDuration < 1 || newSettings.extendedBreakDuration > 120) {
+    showErrorMessage(languageManager.get("errorExtendedBreakDurationRange"));
+    validationError = true;
+  }
+  
+  if (isNaN(newSettings.breaksPerHour) || newSettings.breaksPerHour < 1 || newSettings.breaksPerHour > 30) {
+    showErrorMessage(languageManager.get("errorBreaksPerHourRange"));
+    validationError = true;
+  }
+  
+  if (isNaN(newSettings.minBreakGap) || isNaN(newSettings.maxBreakGap) ||
+      newSettings.minBreakGap < 0 || newSettings.maxBreakGap > 120 ||
+      newSettings.minBreakGap >= newSettings.maxBreakGap) {
+    showErrorMessage(languageManager.get("errorBreakGapRange"));
+    validationError = true;
+  } else if (newSettings.breaksPerHour >= 1 && newSettings.maxBreakGap < 60 / newSettings.breaksPerHour) {
+    // Longer gaps would be filled with breaks, overriding the break frequency
+    showErrorMessage(languageManager.get("errorMaxBreakGapBelowAverage", [String(Math.round(600 / newSettings.breaksPerHour) / 10)]));
+    validationError = true;
+  }
+  
+  if (isNaN(newSettings.startQuietMinutes) || isNaN(newSettings.endQuietMinutes) ||
+      newSettings.startQuietMinutes < 0 || newSettings.startQuietMinutes > 60 ||
+      newSettings.endQuietMinutes < 0 || newSettings.endQuietMinutes > 60) {
+    showErrorMessage(languageManager.get("errorQuietMinutesRange"));
+    validationError = true;
+  }
+  
+  if (isNaN(newSettings.adaptiveFreeHours) || newSettings.adaptiveFreeHours < 0 || newSettings.adaptiveFreeHours > 12 ||
+      isNaN(newSettings.adaptiveIncreasePerHour) || newSettings.adaptiveIncreasePerHour < 1 || newSettings.adaptiveIncreasePerHour > 100 ||
+      isNaN(newSettings.adaptiveMaxIncrease) || newSettings.adaptiveMaxIncrease < 0 || newSettings.adaptiveMaxIncrease > 200) {
+    showErrorMessage(languageManager.get("errorAdaptiveBreaksRange"));
+    validationError = true;
+  }
+  
+  if (isNaN(newSettings.preBreakWarningSeconds) || newSettings.preBreakWarningSeconds < 5 || newSettings.preBreakWarningSeconds > 60) {
+    showErrorMessage(languageManager.get("errorPreBreakWarningRange"));
+    validationError = true;
+  }
+  
+  if (isNaN(newSettings.soundFadeInSeconds) || newSettings.soundFadeInSeconds < 0 || newSettings.soundFadeInSeconds > 5) {
+    showErrorMessage(languageManager.get("errorSoundFadeInRange"));
+    validationError = true;
+  }
+  
+  if (isNaN(newSettings.longBreakSoundRepeats) || newSettings.longBreakSoundRepeats < 1 || newSettings.longBreakSoundRepeats > 5) {
+    showErrorMessage(languageManager.get("errorLongBreakSoundRepeatsRange"));
+    validationError = true;
+  }
+  
+  if (isNaN(newSettings.maxSnoozesPerSession) || newSettings.maxSnoozesPerSession < 0 || newSettings.maxSnoozesPerSession > 10) {
+    showErrorMessage(languageManager.get("errorMaxSnoozesRange"));
+    validationError = true;
+  }
+  
+  if (isNaN(newSettings.idleThresholdMinutes) || newSettings.idleThresholdMinutes < 1 || newSettings.idleThresholdMinutes > 30) {
+    showErrorMessage(languageManager.get("errorIdleThresholdRange"));
+    validationError = true;
+  }
+  
+  if (tonePatterns.some(pattern => !validateTonePattern(pattern))) {
+    showErrorMessage(languageManager.get("errorTonePatternInvalid"));
+    validationError = true;
+  }
+  
+  if (workingHours.some(range => range.days.length === 0 || !range.start || !range.end || range.start >= range.end)) {
+    showErrorMessage(languageManager.get("errorWorkingHoursRange"));
+    validationError = true;
+  }
+  
   if (validationError) {
     return;
   }
@@ -318,6 +1038,382 @@ async function saveSettings() {
   });
 }
 
+/**
+ * Read the break scheduling values from the form
+ * @returns {Object} Break scheduling values keyed by setting name
+ */
+function readBreakSchedulingForm() {
+  return {
+    breakStrategy: breakStrategySelect.value,
+    breaksPerHour: parseFloat(breaksPerHourInput.value),
+    minBreakGap: parseFloat(minBreakGapInput.value),
+    maxBreakGap: parseFloat(maxBreakGapInput.value),
+    startQuietMinutes: parseFloat(startQuietMinutesInput.value),
+    endQuietMinutes: parseFloat(endQuietMinutesInput.value)
+  };
+}
+
+/**
+ * Read the adaptive break values from the form
+ * @returns {Object} Adaptive break settings
+ */
+function readAdaptiveBreaksForm() {
+  return {
+    adaptiveBreaksEnabled: adaptiveBreaksEnabledCheckbox.checked,
+    adaptiveFreeHours: parseFloat(adaptiveFreeHoursInput.value),
+    adaptiveIncreasePerHour: parseInt(adaptiveIncreasePerHourInput.value, 10),
+    adaptiveMaxIncrease: parseInt(adaptiveMaxIncreaseInput.value, 10)
+  };
+}
+
+/**
+ * Show the extra break frequency and length for a few amounts of focus today,
+ * right after a long break
+ */
+function updateAdaptiveCurve() {
+  const settings = validateSettings({ ...currentSettings, ...readAdaptiveBreaksForm(), adaptiveBreaksEnabled: true });
+  adaptiveCurveElement.textContent = [2, 4, 6, 8].map(hours => {
+    const factor = getFatigueFactor(settings, { focusToday: hours * 3600, focusSinceLongBreak: 0 });
+    return `${hours}h +${Math.round((factor - 1) * 100)}%`;
+  }).join(' · ');
+}
+
+/**
+ * Draw a sample schedule for the values in the form; the same code that plans
+ * real sessions generates it, so every call shows another random sample
+ */
+function updateSchedulePreview() {
+  // Invalid values fall back to their defaults, like they would when saved
+  const settings = validateSettings({ ...currentSettings, ...readTimerForm(), ...readBreakSchedulingForm() });
+  const input = getBreakPlanInput(settings, 0);
+  const breakTimes = generateBreakTimes(settings.breakStrategy, input);
+  const toPercent = time => `${(time / input.endTime) * 100}%`;
+  
+  schedulePreview.innerHTML = '';
+  
+  // Shade the quiet zones
+  [[0, input.startQuietMinutes], [settings.longPeriodDuration - input.endQuietMinutes, settings.longPeriodDuration]]
+    .forEach(([from, to]) => {
+      const zone = document.createElement('div');
+      zone.className = 'schedule-preview-quiet';
+      zone.style.left = toPercent(from * 60000);
+      zone.style.width = toPercent((to - from) * 60000);
+      schedulePreview.appendChild(zone);
+    });
+  
+  breakTimes.forEach(time => {
+    const tick = document.createElement('div');
+    tick.className = 'schedule-preview-break';
+    tick.style.left = toPercent(time);
+    tick.title = formatPreviewOffset(time);
+    schedulePreview.appendChild(tick);
+  });
+  
+  const gaps = breakTimes.map((time, i) => time - (i === 0 ? 0 : breakTimes[i - 1]));
+  schedulePreviewSummary.textContent = breakTimes.length === 0
+    ? languageManager.get("optionsSchedulePreviewEmpty")
+    : languageManager.get("optionsSchedulePreviewSummary", [
+      String(breakTimes.length),
+      (Math.min(...gaps) / 60000).toFixed(1),
+      (Math.max(...gaps) / 60000).toFixed(1)
+    ]);
+}
+
+/**
+ * Format the time of a previewed break as minutes and seconds after the start
+ * @param {number} offset - Milliseconds after the session start
+ * @returns {string} Offset like "+12:34"
+ */
+function formatPreviewOffset(offset) {
+  const totalSeconds = Math.round(offset / 1000);
+  return `+${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Describe the selected short break length mode; the limits only apply to
+ * the random and proportional modes
+ */
+function updateShortBreakLengthMode() {
+  const mode = shortBreakLengthModeSelect.value;
+  const key = `optionsShortBreakLength${mode.charAt(0).toUpperCase()}${mode.slice(1)}Description`;
+  shortBreakLengthDescription.setAttribute('data-i18n-key', key);
+  shortBreakLengthDescription.textContent = languageManager.get(key);
+  
+  const isFixed = mode === ShortBreakLength.FIXED;
+  shortBreakMinDurationInput.disabled = isFixed;
+  shortBreakMaxDurationInput.disabled = isFixed;
+  updateBreakCheckNotice();
+}
+
+/**
+ * Point out when no short break can be long enough to be checked for
+ * compliance, see MIN_CHECKED_BREAK_SECONDS
+ */
+function updateBreakCheckNotice() {
+  const longestBreak = shortBreakLengthModeSelect.value === ShortBreakLength.FIXED
+    ? parseInt(shortBreakDurationInput.value, 10)
+    : parseInt(shortBreakMaxDurationInput.value, 10);
+  breakCheckNotice.hidden = !(longestBreak < MIN_CHECKED_BREAK_SECONDS);
+}
+
+/**
+ * Describe the selected break strategy; the description key is kept on the
+ * element so later translation passes pick it up
+ */
+function updateBreakStrategyDescription() {
+  const strategy = breakStrategySelect.value;
+  const key = `optionsBreakStrategy${strategy.charAt(0).toUpperCase()}${strategy.slice(1)}Description`;
+  breakStrategyDescription.setAttribute('data-i18n-key', key);
+  breakStrategyDescription.textContent = languageManager.get(key);
+}
+
+/**
+ * Fill the preset select from the working copy of the presets
+ */
+function populatePresetSelect() {
+  presetSelect.innerHTML = '';
+  
+  // Timer settings that do not belong to any preset
+  if (!selectedPresetId) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = languageManager.get("optionsPresetCustomOption");
+    presetSelect.appendChild(option);
+  }
+  
+  presets.forEach(preset => {
+    const option = document.createElement('option');
+    option.value = preset.id;
+    option.textContent = preset.name;
+    presetSelect.appendChild(option);
+  });
+  
+  presetSelect.value = selectedPresetId || '';
+  renamePresetButton.disabled = !selectedPresetId;
+  duplicatePresetButton.disabled = !selectedPresetId;
+  deletePresetButton.disabled = !selectedPresetId || presets.length <= 1;
+}
+
+/**
+ * Read the timer values a preset stores from the form
+ * @returns {Object} Timer values keyed by setting name
+ */
+function readTimerForm() {
+  return {
+    shortPeriodDuration: parseInt(shortPeriodDurationInput.value, 10),
+    shortBreakDuration: parseInt(shortBreakDurationInput.value, 10),
+    longPeriodDuration: parseInt(longPeriodDurationInput.value, 10),
+    longBreakDuration: parseInt(longBreakDurationInput.value, 10),
+    cyclesPerPlan: parseInt(cyclesPerPlanInput.value, 10),
+    extendedBreakDuration: parseInt(extendedBreakDurationInput.value, 10)
+  };
+}
+
+/**
+ * Show the timer values of a preset in the form
+ * @param {Object} preset - Preset to show
+ */
+function fillTimerForm(preset) {
+  shortPeriodDurationInput.value = preset.shortPeriodDuration;
+  shortBreakDurationInput.value = preset.shortBreakDuration;
+  longPeriodDurationInput.value = preset.longPeriodDuration;
+  longBreakDurationInput.value = preset.longBreakDuration;
+  cyclesPerPlanInput.value = preset.cyclesPerPlan;
+  extendedBreakDurationInput.value = preset.extendedBreakDuration;
+  updateBreakCheckNotice();
+}
+
+/**
+ * Keep unsaved edits of the timer form in the selected preset
+ */
+function storeTimerFormInPreset() {
+  const preset = presets.find(p => p.id === selectedPresetId);
+  if (preset) {
+    const values = readTimerForm();
+    PRESET_FIELDS.forEach(field => {
+      preset[field] = values[field];
+    });
+  }
+}
+
+/**
+ * Switch the form to another preset
+ * @param {string} presetId - ID of the preset to select
+ */
+function selectPreset(presetId) {
+  storeTimerFormInPreset();
+  
+  const preset = presets.find(p => p.id === presetId);
+  if (preset) {
+    selectedPresetId = preset.id;
+    fillTimerForm(preset);
+  }
+  
+  populatePresetSelect();
+  saveButton.disabled = false;
+}
+
+/**
+ * Ask for a preset name
+ * @param {string} [defaultName] - Name to suggest
+ * @returns {string|null} Trimmed name, or null if cancelled or empty
+ */
+function promptPresetName(defaultName = '') {
+  const name = prompt(languageManager.get("optionsPresetNamePrompt"), defaultName);
+  return name && name.trim() ? name.trim() : null;
+}
+
+/**
+ * Add a preset and select it
+ * @param {string} name - Preset name
+ * @param {Object} source - Timer values for the preset
+ */
+function addPreset(name, source) {
+  if (presets.length >= MAX_PRESETS) {
+    showErrorMessage(languageManager.get("errorTooManyPresets", [String(MAX_PRESETS)]));
+    return;
+  }
+  
+  storeTimerFormInPreset();
+  const preset = createPreset(name, source);
+  presets.push(preset);
+  selectPreset(preset.id);
+}
+
+/**
+ * Create a preset from the current timer values
+ */
+function createNewPreset() {
+  const name = promptPresetName();
+  if (name) {
+    addPreset(name, readTimerForm());
+  }
+}
+
+/**
+ * Rename the selected preset
+ */
+function renameSelectedPreset() {
+  const preset = presets.find(p => p.id === selectedPresetId);
+  if (!preset) {
+    return;
+  }
+  
+  const name = promptPresetName(preset.name);
+  if (name) {
+    preset.name = name;
+    populatePresetSelect();
+    saveButton.disabled = false;
+  }
+}
+
+/**
+ * Copy the selected preset, including unsaved edits
+ */
+function duplicateSelectedPreset() {
+  const preset = presets.find(p => p.id === selectedPresetId);
+  if (preset) {
+    addPreset(languageManager.get("optionsPresetCopyName", [preset.name]), readTimerForm());
+  }
+}
+
+/**
+ * Delete the selected preset; the last preset cannot be deleted
+ */
+function deleteSelectedPreset() {
+  const preset = presets.find(p => p.id === selectedPresetId);
+  if (!preset || presets.length <= 1) {
+    return;
+  }
+  
+  if (confirm(languageManager.get("confirmDeletePreset", [preset.name]))) {
+    presets = presets.filter(p => p.id !== preset.id);
+    selectedPresetId = null;
+    selectPreset(presets[0].id);
+  }
+}
+
+/**
+ * Show the working copy of the working-hours ranges in the schedule editor
+ */
+function renderWorkingHours() {
+  workingHoursList.innerHTML = '';
+  
+  workingHours.forEach((range, index) => {
+    const row = document.createElement('div');
+    row.className = 'working-hours-range';
+    
+    const days = document.createElement('div');
+    days.className = 'working-hours-days';
+    WEEKDAY_ORDER.forEach(day => {
+      const label = document.createElement('label');
+      label.className = 'checkbox-label';
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = range.days.includes(day);
+      checkbox.addEventListener('change', () => {
+        range.days = checkbox.checked
+          ? [...range.days, day].sort((a, b) => a - b)
+          : range.days.filter(d => d !== day);
+        saveButton.disabled = false;
+      });
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(getWeekdayName(day)));
+      days.appendChild(label);
+    });
+    row.appendChild(days);
+    
+    ['start', 'end'].forEach(edge => {
+      const input = document.createElement('input');
+      input.type = 'time';
+      input.value = range[edge];
+      input.addEventListener('input', () => {
+        range[edge] = input.value;
+        saveButton.disabled = false;
+      });
+      row.appendChild(input);
+    });
+    
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'preset-btn';
+    removeButton.textContent = languageManager.get("optionsRemoveWorkingHoursButton");
+    removeButton.addEventListener('click', () => {
+      workingHours.splice(index, 1);
+      renderWorkingHours();
+      saveButton.disabled = false;
+    });
+    row.appendChild(removeButton);
+    
+    workingHoursList.appendChild(row);
+  });
+  
+  addWorkingHoursButton.disabled = workingHours.length >= MAX_WORKING_HOURS_RANGES;
+}
+
+/**
+ * Get the short localized name of a weekday
+ * @param {number} day - Weekday, 0 = Sunday
+ * @returns {string} Weekday name
+ */
+function getWeekdayName(day) {
+  // 7 January 2024 was a Sunday
+  return new Date(2024, 0, 7 + day).toLocaleDateString(languageManager.getCurrentLocale(), { weekday: 'short' });
+}
+
+/**
+ * Add a working-hours range for Monday to Friday
+ */
+function addWorkingHoursRange() {
+  if (workingHours.length >= MAX_WORKING_HOURS_RANGES) {
+    return;
+  }
+  
+  workingHours.push({ days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' });
+  renderWorkingHours();
+  saveButton.disabled = false;
+}
+
 /**
  * Reset settings to default
  */
@@ -450,10 +1546,29 @@ function showSuccessMessage(message) {
 }
 
 /**
- * Preview a sound from the sounds directory
- * @param {string} soundFile - The filename of the sound to play
+ * Get the URL to preview a sound from
+ * @param {string} soundFile - File name of a bundled sound or a custom sound setting value
+ * @returns {Promise<string|null>} Promise that resolves with the URL, or null
+ *   if the sound is not bundled or the custom sound no longer exists. Object URLs of custom sounds are
+ *   released when the options page closes.
  */
-function previewSound(soundFile) {
+async function getSoundPreviewUrl(soundFile) {
+  const customSoundId = getCustomSoundId(soundFile);
+  if (!customSoundId) {
+    const sound = getBundledSound(soundFile);
+    return sound ? chrome.runtime.getURL(getBundledSoundPath(sound)) : null;
+  }
+  
+  const sound = await getCustomSound(customSoundId);
+  return sound ? URL.createObjectURL(sound.blob) : null;
+}
+
+/**
+ * Preview a sound from the sounds directory or a custom sound
+ * @param {string} soundFile - The filename of the sound to play, or a custom sound setting value
+ * @param {number} [volume=1] - Volume from 0 to 1
+ */
+async function previewSound(soundFile, volume = 1) {
   if (!soundFile) {
     console.error('No sound file specified for preview');
     return;
@@ -461,13 +1576,24 @@ function previewSound(soundFile) {
   
   console.log(`Previewing sound: ${soundFile}`);
   
+  const tonePatternId = getTonePatternId(soundFile);
+  if (tonePatternId) {
+    previewTonePattern(tonePatterns.find(pattern => pattern.id === tonePatternId), volume);
+    return;
+  }
+  
   // Method 1: Using standard Audio API
+  let soundUrl = null;
   try {
-    const soundUrl = chrome.runtime.getURL(`sounds/${soundFile}`);
+    soundUrl = await getSoundPreviewUrl(soundFile);
+    if (!soundUrl) {
+      showErrorMessage(languageManager.get("errorCouldNotPlaySound"));
+      return;
+    }
     console.log(`Playing sound from URL: ${soundUrl}`);
     
     const audio = new Audio(soundUrl);
-    audio.volume = 1.0;
+    audio.volume = volume;
     
     // Add feedback when playback starts
     audio.onplay = () => {
@@ -481,7 +1607,7 @@ function previewSound(soundFile) {
       showErrorMessage(languageManager.get("errorCouldNotPlaySound"));
       
       // Try fallback method
-      previewSoundWithWebAudio(soundFile);
+      previewSoundWithWebAudio(soundUrl);
     };
     
     // Play the sound
@@ -489,22 +1615,50 @@ function previewSound(soundFile) {
       console.error('Error with audio playback:', error);
       showErrorMessage(languageManager.get("errorCouldNotPlaySound"));
       // Try fallback method on error
-      previewSoundWithWebAudio(soundFile);
+      previewSoundWithWebAudio(soundUrl);
     });
   } catch (error) {
     console.error('Error setting up audio playback:', error);
     showErrorMessage(languageManager.get("errorCouldNotPlaySound"));
-    previewSoundWithWebAudio(soundFile);
+    if (soundUrl) {
+      previewSoundWithWebAudio(soundUrl);
+    }
+  }
+}
+
+/**
+ * Preview a tone pattern of the working copy, as it would play after saving
+ * @param {Object} pattern - Tone pattern, possibly with values that are being edited
+ * @param {number} volume - Volume from 0 to 1
+ */
+function previewTonePattern(pattern, volume) {
+  const validated = validateTonePattern(pattern);
+  if (!validated) {
+    showErrorMessage(languageManager.get("errorTonePatternInvalid"));
+    return;
+  }
+  
+  try {
+    const audioContext = new AudioContext();
+    const gainNode = audioContext.createGain();
+    gainNode.gain.value = volume;
+    gainNode.connect(audioContext.destination);
+    
+    const endTime = scheduleTonePattern(audioContext, gainNode, validated, audioContext.currentTime);
+    setTimeout(() => audioContext.close(), (endTime - audioContext.currentTime) * 1000 + 100);
+    showSuccessMessage(languageManager.get("soundPlaying"));
+  } catch (error) {
+    console.error('Error synthesizing tone pattern:', error);
+    showErrorMessage(languageManager.get("errorCouldNotPlaySound"));
   }
 }
 
 /**
  * Preview a sound using Web Audio API (fallback method)
- * @param {string} soundFile - The filename of the sound to play
+ * @param {string} soundUrl - URL of the sound to play
  */
-function previewSoundWithWebAudio(soundFile) {
+function previewSoundWithWebAudio(soundUrl) {
   try {
-    const soundUrl = chrome.runtime.getURL(`sounds/${soundFile}`);
     console.log(`Trying Web Audio API for sound: ${soundUrl}`);
     
     fetch(soundUrl)
@@ -6,8 +6,12 @@
  */
 
 import { formatTime, formatDuration } from '../utils/time-utils.js';
+import { calculateElapsedTime, getLongBreakMinutes, getShortBreakSeconds, getSessionFatigue, SessionOrigin, PauseReason } from '../storage/session.js';
+import { getFatigueFactor, getFocusPeriodMs } from '../background/break-strategies.js';
+import { getComplianceRate } from '../storage/statistics.js';
 import { initializeTheme, applyTheme } from '../utils/theme-utils.js';
 import { languageManager } from '../utils/language-manager.js'; // Import languageManager
+import { SNOOZE_MINUTES } from '../background/notification.js';
 
 // DOM Elements
 const timeDisplay = document.getElementById('time-display');
@@ -21,12 +25,20 @@ const todayFocusElement = document.getElementById('today-focus');
 const breaksTakenElement = document.getElementById('breaks-taken');
 const settingsButton = document.getElementById('settings-button');
 const statsButton = document.getElementById('stats-button');
+const presetSelect = document.getElementById('preset-select');
+const cycleInfoElement = document.getElementById('cycle-info');
+const sessionOriginElement = document.getElementById('session-origin');
+const adaptiveInfoElement = document.getElementById('adaptive-info');
+const breakActionsElement = document.getElementById('break-actions');
+const skipBreakButton = document.getElementById('skip-break-button');
+const snoozeButton = document.getElementById('snooze-button');
 
 // Session state
 let currentSession = null;
 let settings = null;
 let updateInterval = null;
 let estimatedShortBreakMinute = null; // Store the estimated break time for consistency
+let idleFocusSinceLongBreak = null; // seconds, from the ledger while no session runs
 
 /**
  * Initialize the popup
@@ -134,6 +146,21 @@ function setupEventListeners() {
     }
   });
   
+  // Preset picker
+  presetSelect.addEventListener('change', () => {
+    applyPreset(presetSelect.value);
+  });
+  
+  // Skip break button
+  skipBreakButton.addEventListener('click', () => {
+    skipBreak();
+  });
+  
+  // Snooze button
+  snoozeButton.addEventListener('click', () => {
+    snoozeBreak(getSnoozeMinutes());
+  });
+  
   // Settings button
   settingsButton.addEventListener('click', () => {
     chrome.runtime.openOptionsPage();
@@ -189,6 +216,48 @@ function resetSession() {
   });
 }
 
+/**
+ * Apply a timer preset for the next session
+ * @param {string} presetId - ID of the preset to apply
+ */
+function applyPreset(presetId) {
+  chrome.runtime.sendMessage({ action: 'applyPreset', presetId }, (response) => {
+    if (response && response.settings) {
+      settings = response.settings;
+    }
+    updateUI();
+  });
+}
+
+/**
+ * Skip the running break
+ */
+function skipBreak() {
+  chrome.runtime.sendMessage({ action: 'skipBreak' }, (response) => {
+    currentSession = response;
+    updateUI();
+  });
+}
+
+/**
+ * Get the snooze length offered for the running break, the same as in its notification
+ * @returns {number} Snooze length in minutes
+ */
+function getSnoozeMinutes() {
+  return currentSession && currentSession.state === SessionState.LONG_BREAK ? SNOOZE_MINUTES.long : SNOOZE_MINUTES.short;
+}
+
+/**
+ * Postpone the running break
+ * @param {number} minutes - How long to postpone the break
+ */
+function snoozeBreak(minutes) {
+  chrome.runtime.sendMessage({ action: 'snoozeBreak', minutes }, (response) => {
+    currentSession = response;
+    updateUI();
+  });
+}
+
 /**
  * Start the UI update interval
  */
@@ -210,7 +279,7 @@ function startUpdateInterval() {
       if (currentSession.state === 'longBreak' && settings) {
         const now = Date.now();
         const elapsed = (now - currentSession.stateStartTime) / 1000;
-        const totalBreakTime = settings.longBreakDuration * 60;
+        const totalBreakTime = getLongBreakMinutes(currentSession, settings) * 60;
         
         // If the long break duration has elapsed, reset the session display to idle state
         if (elapsed >= totalBreakTime) {
@@ -237,8 +306,14 @@ function updateUI() {
   updateProgressBar();
   updateBreakInfo();
   updateControlButtons();
+  updateBreakActions();
+  updatePresetSelect();
+  updateCycleInfo();
+  updateSessionOrigin();
+  updateAdaptiveInfo();
   updateSessionStateClasses();
   loadStatistics();
+  loadLongBreakProgress();
 }
 
 /**
@@ -256,26 +331,26 @@ function updateTimeDisplay() {
   
   try {
     if (currentSession.state === 'active' || currentSession.state === 'paused') {
-      // For active or paused sessions, show elapsed time directly from the session object
-      // This value is continuously updated by the background script during 'active' state.
-      displayTime = currentSession.elapsedTime || 0;
+      // For active or paused sessions, show the focus time derived from the
+      // session timestamps, the same value the background uses for statistics
+      displayTime = calculateElapsedTime(currentSession) / 1000;
     } else if (currentSession.state === 'shortBreak') {
-      // For short breaks, show remaining break time
+      // For short breaks, show remaining time of the length chosen for this break
       const now = Date.now();
       if (currentSession.stateStartTime && settings) {
         const elapsed = (now - currentSession.stateStartTime) / 1000;
-        const remaining = Math.max(0, settings.shortBreakDuration - elapsed);
+        const remaining = Math.max(0, getShortBreakSeconds(currentSession, settings) - elapsed);
         displayTime = remaining;
       } else {
         // Fallback if data is missing
-        displayTime = settings ? settings.shortBreakDuration : 10;
+        displayTime = settings ? getShortBreakSeconds(currentSession, settings) : 10;
       }
     } else if (currentSession.state === 'longBreak') {
       // For long breaks, show remaining break time
       const now = Date.now();
       if (currentSession.stateStartTime && settings) {
         const elapsed = (now - currentSession.stateStartTime) / 1000;
-        const totalBreakTime = settings.longBreakDuration * 60;
+        const totalBreakTime = getLongBreakMinutes(currentSession, settings) * 60;
         
         // If the break has completed, show zero time
         if (elapsed >= totalBreakTime) {
@@ -286,7 +361,7 @@ function updateTimeDisplay() {
         }
       } else {
         // Fallback if data is missing
-        displayTime = settings ? settings.longBreakDuration * 60 : 20 * 60;
+        displayTime = settings ? getLongBreakMinutes(currentSession, settings) * 60 : 20 * 60;
       }
     }
   } catch (error) {
@@ -310,29 +385,26 @@ function updateProgressBar() {
   
   try {
     if (currentSession.state === 'active' || currentSession.state === 'paused') {
-      // For active or paused sessions, show progress toward long break
-      const totalSessionTime = settings.longPeriodDuration * 60; // in seconds
-      let elapsed;
-      
-      if (currentSession.state === 'active' && currentSession.stateStartTime) {
-        const now = Date.now();
-        elapsed = (currentSession.elapsedTime || 0) + (now - currentSession.stateStartTime) / 1000;
-      } else {
-        elapsed = currentSession.elapsedTime || 0;
-      }
+      // For active or paused sessions, show progress toward long break;
+      // cumulative long breaks can make the planned focus period shorter
+      const planInput = currentSession.breakPlanInput;
+      const totalSessionTime = planInput
+        ? (planInput.endTime - planInput.startTime) / 1000
+        : settings.longPeriodDuration * 60; // in seconds
+      const elapsed = calculateElapsedTime(currentSession) / 1000;
       
       progress = Math.min(100, (elapsed / totalSessionTime) * 100);
     } else if (currentSession.state === 'shortBreak' && currentSession.stateStartTime) {
       // For short breaks, show break progress
       const now = Date.now();
       const elapsed = (now - currentSession.stateStartTime) / 1000;
-      const totalBreakTime = settings.shortBreakDuration; // in seconds
+      const totalBreakTime = getShortBreakSeconds(currentSession, settings); // in seconds
       progress = Math.min(100, (elapsed / totalBreakTime) * 100);
     } else if (currentSession.state === 'longBreak' && currentSession.stateStartTime) {
       // For long breaks, show break progress
       const now = Date.now();
       const elapsed = (now - currentSession.stateStartTime) / 1000;
-      const totalBreakTime = settings.longBreakDuration * 60; // in seconds
+      const totalBreakTime = getLongBreakMinutes(currentSession, settings) * 60; // in seconds
       
       // If the break time has elapsed but the session hasn't been reset yet,
       // show 100% progress to indicate completion
@@ -370,12 +442,17 @@ function updateBreakInfo() {
                                       : languageManager.get("popupBreakTimeSoon");
   } else if (currentSession.state === SessionState.SHORT_BREAK) {
     shortBreakTimeElement.textContent = languageManager.get("popupBreakTimeActiveShort"); 
+  } else if (currentSession.state === SessionState.PAUSED && currentSession.pauseReason === PauseReason.IDLE) {
+    shortBreakTimeElement.textContent = languageManager.get("popupPausedAwayStatus");
   } else {
     shortBreakTimeElement.textContent = defaultStatus;
   }
 
   // Long break info
-  if (currentSession.state === SessionState.ACTIVE && currentSession.nextLongBreakTime) {
+  const longBreakFocusRemaining = getLongBreakFocusRemaining();
+  if (currentSession.state !== SessionState.LONG_BREAK && longBreakFocusRemaining !== null) {
+    longBreakTimeElement.textContent = languageManager.get("popupLongBreakFocusRemaining", formatDuration(longBreakFocusRemaining));
+  } else if (currentSession.state === SessionState.ACTIVE && currentSession.nextLongBreakTime) {
     const minutesUntilLongBreak = Math.max(0, Math.round((currentSession.nextLongBreakTime - Date.now()) / 60000));
     longBreakTimeElement.textContent = languageManager.get("popupBreakTimeInMinutes", String(minutesUntilLongBreak));
   } else if (currentSession.state === SessionState.LONG_BREAK) {
@@ -385,6 +462,47 @@ function updateBreakInfo() {
   }
 }
 
+/**
+ * Get the focus left until the long break when long breaks are cumulative
+ * @returns {number|null} Focus in seconds, or null when it is not shown
+ */
+function getLongBreakFocusRemaining() {
+  if (!settings.cumulativeLongBreaks) {
+    return null;
+  }
+  
+  if (currentSession.state === SessionState.IDLE) {
+    return idleFocusSinceLongBreak === null ? null : getFocusPeriodMs(settings, idleFocusSinceLongBreak) / 1000;
+  }
+  
+  if (!currentSession.longBreakTime) {
+    return null;
+  }
+  
+  // Pauses push the long break back, so the focus left stops counting down
+  const focusUntil = currentSession.state === SessionState.PAUSED ? currentSession.pauseStartTime : Date.now();
+  return Math.max(0, (currentSession.longBreakTime - focusUntil) / 1000);
+}
+
+/**
+ * Load the focus since the last long break from the ledger, which is what
+ * the next session starts from with cumulative long breaks
+ */
+function loadLongBreakProgress() {
+  if (!settings || !settings.cumulativeLongBreaks || !currentSession || currentSession.state !== SessionState.IDLE) {
+    idleFocusSinceLongBreak = null;
+    return;
+  }
+  
+  chrome.runtime.sendMessage({ action: 'getFocusSinceLongBreak' }, (response) => {
+    if (!response || response.error) {
+      return;
+    }
+    idleFocusSinceLongBreak = response.focusSinceLongBreak;
+    updateBreakInfo();
+  });
+}
+
 /**
  * Update control buttons state
  */
@@ -443,6 +561,107 @@ function updateControlButtons() {
   }
 }
 
+/**
+ * Fill the preset picker. Presets are applied before a session starts, so
+ * the picker is only enabled while no session is running.
+ */
+function updatePresetSelect() {
+  const presets = (settings && settings.presets) || [];
+  const activePresetId = settings ? settings.activePresetId : null;
+  
+  presetSelect.innerHTML = '';
+  
+  // Timer settings that no longer match a preset
+  if (!activePresetId) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = languageManager.get("popupPresetCustomOption");
+    presetSelect.appendChild(option);
+  }
+  
+  presets.forEach(preset => {
+    const option = document.createElement('option');
+    option.value = preset.id;
+    option.textContent = preset.name;
+    presetSelect.appendChild(option);
+  });
+  
+  presetSelect.value = activePresetId || '';
+  presetSelect.disabled = Boolean(currentSession) && currentSession.state !== SessionState.IDLE;
+}
+
+/**
+ * Show the cycle of a multi-cycle plan the session is in
+ */
+function updateCycleInfo() {
+  const totalCycles = currentSession ? (currentSession.totalCycles || 1) : 1;
+  const isRunning = Boolean(currentSession) && currentSession.state !== SessionState.IDLE;
+  
+  cycleInfoElement.hidden = !isRunning || totalCycles <= 1;
+  if (!cycleInfoElement.hidden) {
+    cycleInfoElement.textContent = languageManager.get("popupCycleInfo", [
+      String(currentSession.cycle || 1),
+      String(totalCycles)
+    ]);
+  }
+}
+
+/**
+ * Show whether the running session was started by the working-hours schedule
+ * or by hand; only relevant once a schedule is in use
+ */
+function updateSessionOrigin() {
+  const isRunning = Boolean(currentSession) && currentSession.state !== SessionState.IDLE;
+  const isScheduled = isRunning && currentSession.origin === SessionOrigin.SCHEDULED;
+  const scheduleEnabled = Boolean(settings) && settings.workingHoursEnabled;
+  
+  sessionOriginElement.hidden = !isRunning || (!scheduleEnabled && !isScheduled);
+  if (!sessionOriginElement.hidden) {
+    sessionOriginElement.textContent = languageManager.get(
+      isScheduled ? "popupScheduledSessionLabel" : "popupManualSessionLabel"
+    );
+  }
+}
+
+/**
+ * Explain adaptive breaks while they make the next breaks more frequent
+ * and longer
+ */
+function updateAdaptiveInfo() {
+  const isRunning = Boolean(currentSession) && currentSession.state !== SessionState.IDLE;
+  const fatigue = isRunning && settings ? getSessionFatigue(currentSession) : null;
+  // The break schedule was planned with the factor stored on the session;
+  // only the length of the next break follows the focus since then
+  const frequencyFactor = fatigue ? currentSession.breakAdaptation.factor || 1 : 1;
+  const lengthFactor = fatigue ? getFatigueFactor(settings, fatigue) : 1;
+  
+  adaptiveInfoElement.hidden = frequencyFactor <= 1 && lengthFactor <= 1;
+  if (!adaptiveInfoElement.hidden) {
+    adaptiveInfoElement.textContent = languageManager.get("popupAdaptiveBreaksInfo", [
+      String(Math.round((frequencyFactor - 1) * 100)),
+      String(Math.round((lengthFactor - 1) * 100)),
+      formatDuration(fatigue.focusToday),
+      formatDuration(fatigue.focusSinceLongBreak)
+    ]);
+  }
+}
+
+/**
+ * Show the break actions while a break is running; the snooze button only
+ * while the session has snoozes left
+ */
+function updateBreakActions() {
+  const isBreak = Boolean(currentSession) &&
+    (currentSession.state === SessionState.SHORT_BREAK || currentSession.state === SessionState.LONG_BREAK);
+  const maxSnoozes = settings ? settings.maxSnoozesPerSession : 0;
+  const canSnooze = isBreak && (currentSession.snoozeCount || 0) < maxSnoozes;
+  
+  breakActionsElement.hidden = !isBreak;
+  
+  snoozeButton.hidden = !canSnooze;
+  snoozeButton.textContent = languageManager.get("popupSnoozeButtonText", [String(getSnoozeMinutes())]);
+}
+
 /**
  * Update session state CSS classes
  */
@@ -493,6 +712,21 @@ async function loadStatistics() {
     
     // Reinstate `|| 0` for break counts to handle cases where these properties might be undefined in todayStats
     breaksTakenElement.textContent = `${breaksLabel} ${todayStats.shortBreaksTaken || 0} ${shortUnit}, ${todayStats.longBreaksTaken || 0} ${longUnit}`;
+    
+    // Breaks that were skipped or snoozed are not taken, but are worth seeing
+    if (todayStats.breaksSkipped || todayStats.breaksSnoozed) {
+      const missedBreaks = languageManager.get("popupBreaksSkippedSnoozed", [
+        String(todayStats.breaksSkipped || 0),
+        String(todayStats.breaksSnoozed || 0)
+      ]);
+      breaksTakenElement.textContent += ` ${missedBreaks}`;
+    }
+    
+    // Share of checked short breaks that were used to look away
+    const complianceRate = getComplianceRate(todayStats);
+    if (complianceRate !== null) {
+      breaksTakenElement.textContent += ` ${languageManager.get("popupBreakCompliance", [String(Math.round(complianceRate * 100))])}`;
+    }
   } catch (error) {
     console.error('Error loading statistics for popup:', error);
     // Fallback display on error
@@ -5,7 +5,11 @@
  * Handles loading and displaying statistics data.
  */
 
-import { formatDuration, getLastNDays, getWeekNumber } from '../utils/time-utils.js';
+import { formatDuration, formatTime, getLastNDays, getDayKey, getWeekKey, parseDateKey } from '../utils/time-utils.js';
+import { getComplianceRate, MIN_CHECKED_BREAK_SECONDS } from '../storage/statistics.js';
+import { SessionState } from '../storage/session.js';
+import { regenerateBreakTimes } from '../background/break-strategies.js';
+import { parseSeed } from '../utils/random.js';
 import { applyTheme, initializeTheme } from '../utils/theme-utils.js';
 import { languageManager } from '../utils/language-manager.js'; // Import languageManager
 
@@ -16,13 +20,28 @@ const todayFocusTimeElement = document.getElementById('today-focus-time');
 const todayShortBreaksElement = document.getElementById('today-short-breaks');
 const todayLongBreaksElement = document.getElementById('today-long-breaks');
 const todaySessionsElement = document.getElementById('today-sessions');
+const todaySnoozesElement = document.getElementById('today-snoozes');
+const todaySkipsElement = document.getElementById('today-skips');
+const todayComplianceElement = document.getElementById('today-compliance');
+const todayPresetFocusElement = document.getElementById('today-preset-focus');
 const weekFocusTimeElement = document.getElementById('week-focus-time');
 const weekShortBreaksElement = document.getElementById('week-short-breaks');
 const weekLongBreaksElement = document.getElementById('week-long-breaks');
 const weekSessionsElement = document.getElementById('week-sessions');
+const weekSnoozesElement = document.getElementById('week-snoozes');
+const weekSkipsElement = document.getElementById('week-skips');
+const weekComplianceElement = document.getElementById('week-compliance');
+const weekPresetFocusElement = document.getElementById('week-preset-focus');
 const exportButton = document.getElementById('export-button');
 const clearButton = document.getElementById('clear-button');
 const backButton = document.getElementById('back-button');
+const diagnosticsSessionSelect = document.getElementById('diagnostics-session');
+const diagnosticsSeedInput = document.getElementById('diagnostics-seed');
+const diagnosticsRegenerateButton = document.getElementById('diagnostics-regenerate');
+const diagnosticsStrategyElement = document.getElementById('diagnostics-strategy');
+const diagnosticsInputsElement = document.getElementById('diagnostics-inputs');
+const diagnosticsComparisonElement = document.getElementById('diagnostics-comparison');
+const diagnosticsBreaksList = document.getElementById('diagnostics-breaks');
 
 // Chart instances
 let dailyChart = null;
@@ -32,6 +51,9 @@ let breakChart = null;
 let statisticsData = null;
 let currentSettings = null; // To store loaded settings including language
 
+// Recent sessions with a recorded break seed, newest first
+let diagnosticsSessions = [];
+
 // Function to apply internationalized strings to the page
 function applyI18n() {
   document.querySelectorAll('[data-i18n-key]').forEach(element => {
@@ -62,6 +84,7 @@ async function initStatistics() {
     
     // Load statistics data
     await loadStatistics();
+    await loadBreakDiagnostics();
     
     // Set up event listeners
     setupEventListeners();
@@ -74,20 +97,21 @@ async function initStatistics() {
 }
 
 /**
- * Load statistics data from storage
+ * Load statistics data, derived by the background from the event ledger
  */
 async function loadStatistics() {
   try {
     return new Promise((resolve, reject) => {
-      chrome.storage.sync.get('statistics', (data) => {
-        if (chrome.runtime.lastError) {
-          console.error('Error loading statistics:', chrome.runtime.lastError);
+      chrome.runtime.sendMessage({ action: 'getStatisticsData' }, (response) => {
+        if (chrome.runtime.lastError || !response || response.error) {
+          const error = chrome.runtime.lastError || new Error(response ? response.error : 'No response');
+          console.error('Error loading statistics:', error);
           displayErrorMessage(languageManager.get("errorLoadStats"));
           statisticsData = { dailyFocus: {}, weeklyFocus: {} };
           updateStatisticsDisplay();
-          reject(chrome.runtime.lastError);
+          reject(error);
         } else {
-          statisticsData = data.statistics || { dailyFocus: {}, weeklyFocus: {} };
+          statisticsData = response;
           updateStatisticsDisplay();
           resolve(statisticsData);
         }
@@ -143,6 +167,14 @@ function setupEventListeners() {
   backButton.addEventListener('click', () => {
     window.close();
   });
+  
+  // Diagnostics: a session selects its own seed, which can then be changed
+  diagnosticsSessionSelect.addEventListener('change', () => {
+    const entry = diagnosticsSessions[Number(diagnosticsSessionSelect.value)];
+    diagnosticsSeedInput.value = entry ? String(entry.seed) : '';
+    updateBreakDiagnostics();
+  });
+  diagnosticsRegenerateButton.addEventListener('click', updateBreakDiagnostics);
 }
 
 /**
@@ -166,41 +198,93 @@ function updateStatisticsDisplay() {
   }
 }
 
+/**
+ * Get the hour at which a statistics day starts
+ * @returns {number} Local hour (0-23)
+ */
+function getDayStartHour() {
+  return (currentSettings && currentSettings.dayStartHour) || 0;
+}
+
 /**
  * Update metrics display
  */
 function updateMetrics() {
-  // Get today's date
-  const today = new Date().toISOString().split('T')[0];
-  
-  // Get this week
-  const week = getWeekNumber(new Date());
+  // Get today's date and this week in local time
+  const dayStartHour = getDayStartHour();
+  const today = getDayKey(Date.now(), dayStartHour);
+  const week = getWeekKey(Date.now(), dayStartHour);
   
   // Today's metrics
   const todayStats = statisticsData.dailyFocus[today] || {
     totalFocusTime: 0,
     shortBreaksTaken: 0,
     longBreaksTaken: 0,
-    sessionsCompleted: 0
+    sessionsCompleted: 0,
+    breaksSnoozed: 0,
+    breaksSkipped: 0
   };
   
   todayFocusTimeElement.textContent = formatDuration(todayStats.totalFocusTime);
   todayShortBreaksElement.textContent = todayStats.shortBreaksTaken;
   todayLongBreaksElement.textContent = todayStats.longBreaksTaken;
   todaySessionsElement.textContent = todayStats.sessionsCompleted;
+  todaySnoozesElement.textContent = todayStats.breaksSnoozed || 0;
+  todaySkipsElement.textContent = todayStats.breaksSkipped || 0;
+  todayComplianceElement.textContent = formatCompliance(todayStats);
+  todayPresetFocusElement.textContent = formatPresetFocus(todayStats.presetFocus);
   
   // This week's metrics
   const weekStats = statisticsData.weeklyFocus[week] || {
     totalFocusTime: 0,
     shortBreaksTaken: 0,
     longBreaksTaken: 0,
-    sessionsCompleted: 0
+    sessionsCompleted: 0,
+    breaksSnoozed: 0,
+    breaksSkipped: 0
   };
   
   weekFocusTimeElement.textContent = formatDuration(weekStats.totalFocusTime);
   weekShortBreaksElement.textContent = weekStats.shortBreaksTaken;
   weekLongBreaksElement.textContent = weekStats.longBreaksTaken;
   weekSessionsElement.textContent = weekStats.sessionsCompleted;
+  weekSnoozesElement.textContent = weekStats.breaksSnoozed || 0;
+  weekSkipsElement.textContent = weekStats.breaksSkipped || 0;
+  weekComplianceElement.textContent = formatCompliance(weekStats);
+  weekPresetFocusElement.textContent = formatPresetFocus(weekStats.presetFocus);
+}
+
+/**
+ * Format the share of checked short breaks that were honored
+ * @param {Object} stats - Daily or weekly statistics
+ * @returns {string} Formatted rate with counts; a note when breaks were
+ *   taken but none could be checked, a dash if no break was taken
+ */
+function formatCompliance(stats) {
+  const rate = getComplianceRate(stats);
+  if (rate === null) {
+    return stats.shortBreaksTaken > 0
+      ? languageManager.get("statisticsBreakComplianceUnchecked", [String(MIN_CHECKED_BREAK_SECONDS)])
+      : '-';
+  }
+  return languageManager.get("statisticsBreakComplianceValue", [
+    String(Math.round(rate * 100)),
+    String(stats.breaksHonored),
+    String(stats.breaksHonored + stats.breaksIgnored)
+  ]);
+}
+
+/**
+ * Format focus time per preset, longest first
+ * @param {Object} presetFocus - Seconds of focus keyed by preset name
+ * @returns {string} Formatted list, or a dash if there is none
+ */
+function formatPresetFocus(presetFocus) {
+  const entries = Object.entries(presetFocus || {}).sort((a, b) => b[1] - a[1]);
+  if (entries.length === 0) {
+    return '-';
+  }
+  return entries.map(([name, seconds]) => `${name} ${formatDuration(seconds)}`).join(', ');
 }
 
 /**
@@ -208,7 +292,7 @@ function updateMetrics() {
  */
 function createDailyChart() {
   // Get the last 7 days
-  const days = getLastNDays(7).reverse();
+  const days = getLastNDays(7, getDayStartHour()).reverse();
   
   // Prepare data
   const focusData = days.map(day => {
@@ -218,7 +302,7 @@ function createDailyChart() {
   
   // Format labels as day names
   const labels = days.map(day => {
-    const date = new Date(day);
+    const date = parseDateKey(day);
     return date.toLocaleDateString(languageManager.getCurrentLocale(), { weekday: 'short' });
   });
   
@@ -261,16 +345,20 @@ function createDailyChart() {
  */
 function createBreakChart() {
   // Get the last 7 days
-  const days = getLastNDays(7);
+  const days = getLastNDays(7, getDayStartHour());
   
   // Prepare data
   let totalShortBreaks = 0;
   let totalLongBreaks = 0;
+  let totalSkippedBreaks = 0;
+  let totalSnoozedBreaks = 0;
   
   days.forEach(day => {
     const dayStats = statisticsData.dailyFocus[day] || { shortBreaksTaken: 0, longBreaksTaken: 0 };
     totalShortBreaks += dayStats.shortBreaksTaken;
     totalLongBreaks += dayStats.longBreaksTaken;
+    totalSkippedBreaks += dayStats.breaksSkipped || 0;
+    totalSnoozedBreaks += dayStats.breaksSnoozed || 0;
   });
   
   // Destroy existing chart if it exists
@@ -282,12 +370,19 @@ function createBreakChart() {
   breakChart = new Chart(breakChartCanvas, {
     type: 'doughnut',
     data: {
-      labels: [languageManager.get("statsChartShortBreaksLabel"), languageManager.get("statsChartLongBreaksLabel")],
+      labels: [
+        languageManager.get("statsChartShortBreaksLabel"),
+        languageManager.get("statsChartLongBreaksLabel"),
+        languageManager.get("statsChartSkippedBreaksLabel"),
+        languageManager.get("statsChartSnoozedBreaksLabel")
+      ],
       datasets: [{
-        data: [totalShortBreaks, totalLongBreaks],
+        data: [totalShortBreaks, totalLongBreaks, totalSkippedBreaks, totalSnoozedBreaks],
         backgroundColor: [
           getComputedStyle(document.documentElement).getPropertyValue('--chart-color-2') || '#FFC107',
-          getComputedStyle(document.documentElement).getPropertyValue('--chart-color-3') || '#4CAF50'
+          getComputedStyle(document.documentElement).getPropertyValue('--chart-color-3') || '#4CAF50',
+          getComputedStyle(document.documentElement).getPropertyValue('--chart-color-4') || '#F44336',
+          getComputedStyle(document.documentElement).getPropertyValue('--disabled-color') || '#9E9E9E'
         ],
         borderColor: getComputedStyle(document.documentElement).getPropertyValue('--background-color') || '#FFFFFF',
         borderWidth: 1
@@ -305,6 +400,113 @@ function createBreakChart() {
   });
 }
 
+/**
+ * Load the break seeds of recent sessions for the diagnostics section
+ */
+async function loadBreakDiagnostics() {
+  const response = await new Promise(resolve => chrome.runtime.sendMessage({ action: 'getBreakDiagnostics' }, resolve));
+  if (chrome.runtime.lastError || !response || response.error) {
+    console.error('Error loading break diagnostics:', chrome.runtime.lastError || (response && response.error));
+    diagnosticsSessions = [];
+  } else {
+    const { session, sessionStarts } = response;
+    diagnosticsSessions = sessionStarts
+      .filter(event => event.breakPlanInput && typeof event.breakSeed === 'number')
+      .map(event => ({
+        sessionId: event.sessionId,
+        startTime: event.time,
+        presetName: event.presetName,
+        seed: event.breakSeed,
+        planInput: event.breakPlanInput,
+        // Only the running session still has its stored plan to compare with
+        storedBreakTimes: session && session.id === event.sessionId && session.state !== SessionState.IDLE ?
+          session.shortBreakTimes : null
+      }));
+  }
+  
+  diagnosticsSessionSelect.innerHTML = '';
+  diagnosticsSessions.forEach((entry, index) => {
+    const option = document.createElement('option');
+    option.value = String(index);
+    const label = [new Date(entry.startTime).toLocaleString(languageManager.getCurrentLocale())];
+    if (entry.presetName) {
+      label.push(entry.presetName);
+    }
+    if (entry.storedBreakTimes) {
+      label.push(languageManager.get("statisticsDiagnosticsCurrentSession"));
+    }
+    option.textContent = label.join(' · ');
+    diagnosticsSessionSelect.appendChild(option);
+  });
+  
+  const first = diagnosticsSessions[0];
+  diagnosticsSeedInput.value = first ? String(first.seed) : '';
+  diagnosticsSessionSelect.disabled = !first;
+  diagnosticsSeedInput.disabled = !first;
+  diagnosticsRegenerateButton.disabled = !first;
+  updateBreakDiagnostics();
+}
+
+/**
+ * Generate the selected session's break schedule again from the seed in
+ * the seed field and show it next to the session's stored plan
+ */
+function updateBreakDiagnostics() {
+  diagnosticsBreaksList.innerHTML = '';
+  const entry = diagnosticsSessions[Number(diagnosticsSessionSelect.value)];
+  if (!entry) {
+    diagnosticsStrategyElement.textContent = '-';
+    diagnosticsInputsElement.textContent = '-';
+    diagnosticsComparisonElement.textContent = languageManager.get("statisticsDiagnosticsNoSessions");
+    return;
+  }
+  
+  const seed = parseSeed(diagnosticsSeedInput.value);
+  if (seed === null) {
+    displayErrorMessage(languageManager.get("errorInvalidSeed"));
+    return;
+  }
+  
+  const input = entry.planInput;
+  const strategy = input.strategy;
+  diagnosticsStrategyElement.textContent = languageManager.get(`optionsBreakStrategy${strategy.charAt(0).toUpperCase()}${strategy.slice(1)}`) || strategy;
+  diagnosticsInputsElement.textContent = languageManager.get("statisticsDiagnosticsInputsValue", [
+    String(Math.round((input.endTime - input.startTime) / 60000)),
+    String(input.breaksPerHour),
+    `${input.minGapMinutes}–${input.maxGapMinutes}`,
+    `${input.startQuietMinutes}/${input.endQuietMinutes}`
+  ]);
+  
+  const breakTimes = regenerateBreakTimes(input, seed);
+  breakTimes.forEach(time => {
+    const item = document.createElement('li');
+    const clockTime = new Date(time).toLocaleTimeString(languageManager.getCurrentLocale());
+    item.textContent = `+${formatTime(Math.round((time - input.startTime) / 1000))} (${clockTime})`;
+    diagnosticsBreaksList.appendChild(item);
+  });
+  
+  diagnosticsComparisonElement.textContent = describePlanComparison(entry.storedBreakTimes, breakTimes);
+}
+
+/**
+ * Compare a regenerated schedule with the plan stored on the session
+ * @param {Array<number>|null} storedBreakTimes - Plan stored on the session, if it is still running
+ * @param {Array<number>} breakTimes - Regenerated break times
+ * @returns {string} Description of the difference
+ */
+function describePlanComparison(storedBreakTimes, breakTimes) {
+  if (!storedBreakTimes) {
+    return languageManager.get("statisticsDiagnosticsNotStored");
+  }
+  // Pauses push pending breaks back and snoozes add breaks to the plan
+  const regenerated = new Set(breakTimes);
+  const changed = storedBreakTimes.filter(time => !regenerated.has(time)).length;
+  if (changed === 0 && storedBreakTimes.length === breakTimes.length) {
+    return languageManager.get("statisticsDiagnosticsIdentical");
+  }
+  return languageManager.get("statisticsDiagnosticsChanged", [String(changed)]);
+}
+
 /**
  * Export statistics data as JSON
  */
@@ -345,6 +547,7 @@ async function clearAllStatistics() {
         if (response && response.success) {
           statisticsData = { dailyFocus: {}, weeklyFocus: {} };
           updateStatisticsDisplay();
+          loadBreakDiagnostics();
           alert(languageManager.get("statsHistoryCleared"));
           resolve();
         } else {
@@ -0,0 +1,194 @@
+/**
+ * custom-sounds.js
+ *
+ * This module stores the sounds users upload themselves:
+ * - Keeping the audio files in IndexedDB, outside the extension package
+ * - Checking uploads for format, size and length
+ * - Referring to custom sounds from the sound settings
+ */
+
+const DB_NAME = 'randomBeep';
+const DB_VERSION = 1;
+const STORE_NAME = 'customSounds';
+
+// Sound settings refer to custom sounds as "custom:<id>"; bundled sounds by file name
+const CUSTOM_SOUND_PREFIX = 'custom:';
+
+// Accepted file extensions and the MIME types browsers report for them
+const CUSTOM_SOUND_FORMATS = {
+  mp3: ['audio/mpeg', 'audio/mp3'],
+  wav: ['audio/wav', 'audio/x-wav', 'audio/wave', 'audio/vnd.wave'],
+  ogg: ['audio/ogg'],
+  m4a: ['audio/mp4', 'audio/x-m4a', 'audio/aac']
+};
+
+// Notification sounds are short; these limits keep them that way
+const MAX_CUSTOM_SOUND_BYTES = 1024 * 1024;
+const MAX_CUSTOM_SOUND_SECONDS = 10;
+const MAX_CUSTOM_SOUNDS = 20;
+
+/**
+ * Open the database, creating the sound store on first use
+ * @returns {Promise<IDBDatabase>} Promise that resolves with the open database
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a single request against the sound store
+ * @param {string} mode - Transaction mode, 'readonly' or 'readwrite'
+ * @param {Function} operation - Function that receives the object store and returns a request
+ * @returns {Promise<*>} Promise that resolves with the request's result once the transaction completes
+ */
+async function runRequest(mode, operation) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = transaction.onabort = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+/**
+ * Check if a sound setting refers to a custom sound
+ * @param {string} sound - Value of a sound setting
+ * @returns {boolean} True for custom sounds, false for bundled sound files
+ */
+function isCustomSound(sound) {
+  return typeof sound === 'string' && sound.startsWith(CUSTOM_SOUND_PREFIX);
+}
+
+/**
+ * Get the sound setting value that refers to a custom sound
+ * @param {string} id - Custom sound ID
+ * @returns {string} Sound setting value
+ */
+function getCustomSoundValue(id) {
+  return `${CUSTOM_SOUND_PREFIX}${id}`;
+}
+
+/**
+ * Get the custom sound ID from a sound setting value
+ * @param {string} sound - Value of a sound setting
+ * @returns {string|null} Custom sound ID, or null for bundled sounds
+ */
+function getCustomSoundId(sound) {
+  return isCustomSound(sound) ? sound.slice(CUSTOM_SOUND_PREFIX.length) : null;
+}
+
+/**
+ * Check an audio file before it is stored as a custom sound
+ * @param {File} file - Uploaded file
+ * @param {number} duration - Length of the audio in seconds, NaN if it could not be decoded
+ * @param {number} soundCount - Number of custom sounds already stored
+ * @returns {string|null} Message key of the problem, or null if the file can be stored
+ */
+function getCustomSoundError(file, duration, soundCount) {
+  const extension = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : '';
+  const types = CUSTOM_SOUND_FORMATS[extension];
+
+  if (!types || (file.type && !types.includes(file.type))) {
+    return 'errorCustomSoundFormat';
+  }
+  if (file.size > MAX_CUSTOM_SOUND_BYTES) {
+    return 'errorCustomSoundSize';
+  }
+  if (!Number.isFinite(duration) || duration <= 0) {
+    return 'errorCustomSoundUnreadable';
+  }
+  if (duration > MAX_CUSTOM_SOUND_SECONDS) {
+    return 'errorCustomSoundDuration';
+  }
+  if (soundCount >= MAX_CUSTOM_SOUNDS) {
+    return 'errorCustomSoundLimit';
+  }
+  return null;
+}
+
+/**
+ * List the stored custom sounds without their audio data
+ * @returns {Promise<Array<Object>>} Promise that resolves with
+ *   { id, name, type, size, duration, addedAt } objects, oldest first
+ */
+async function listCustomSounds() {
+  const records = await runRequest('readonly', store => store.getAll());
+  return records
+    .map(({ blob, ...sound }) => sound)
+    .sort((a, b) => a.addedAt - b.addedAt);
+}
+
+/**
+ * Load a custom sound with its audio data
+ * @param {string} id - Custom sound ID
+ * @returns {Promise<Object|null>} Promise that resolves with the sound, including its
+ *   audio as `blob`, or null if it was deleted
+ */
+async function getCustomSound(id) {
+  const record = await runRequest('readonly', store => store.get(id));
+  return record || null;
+}
+
+/**
+ * Store an uploaded file as a custom sound. Check it with
+ * getCustomSoundError() first.
+ * @param {File} file - Uploaded audio file
+ * @param {number} duration - Length of the audio in seconds
+ * @returns {Promise<Object>} Promise that resolves with the stored sound without its audio data
+ */
+async function addCustomSound(file, duration) {
+  const sound = {
+    id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+    name: file.name.replace(/\.[^.]+$/, ''),
+    type: file.type,
+    size: file.size,
+    duration,
+    addedAt: Date.now()
+  };
+
+  await runRequest('readwrite', store => store.put({ ...sound, blob: file }));
+  console.log('Stored custom sound:', sound);
+  return sound;
+}
+
+/**
+ * Delete a custom sound
+ * @param {string} id - Custom sound ID
+ * @returns {Promise} Promise that resolves when the sound is deleted
+ */
+async function deleteCustomSound(id) {
+  await runRequest('readwrite', store => store.delete(id));
+  console.log('Deleted custom sound:', id);
+}
+
+// Export the module's public API
+export {
+  CUSTOM_SOUND_FORMATS,
+  MAX_CUSTOM_SOUND_BYTES,
+  MAX_CUSTOM_SOUND_SECONDS,
+  MAX_CUSTOM_SOUNDS,
+  isCustomSound,
+  getCustomSoundValue,
+  getCustomSoundId,
+  getCustomSoundError,
+  listCustomSounds,
+  getCustomSound,
+  addCustomSound,
+  deleteCustomSound
+};
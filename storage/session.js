@@ -19,6 +19,22 @@ const SessionState = {
   PAUSED: 'paused'
 };
 
+/**
+ * How a session was started
+ */
+const SessionOrigin = {
+  MANUAL: 'manual',
+  SCHEDULED: 'scheduled'
+};
+
+/**
+ * Why a session was paused
+ */
+const PauseReason = {
+  MANUAL: 'manual',
+  IDLE: 'idle'              // paused automatically while the user was away
+};
+
 /**
  * Generate a unique ID for a session
  * @returns {string} Unique session ID
@@ -29,20 +45,35 @@ function generateSessionId() {
 
 /**
  * Create a new session object
+ * @param {number} [now] - When the session is created
  * @returns {Object} New session object
  */
-function createNewSession() {
-  const now = Date.now();
+function createNewSession(now = Date.now()) {
   return {
     id: generateSessionId(),
     startTime: now,
     stateStartTime: now,
-    shortBreaksTaken: [],
+    shortBreaksTaken: [],   // { time, duration, focusTime } per short break; duration in seconds
     shortBreakCount: 0,
     state: SessionState.IDLE,
-    elapsedTime: 0,
+    elapsedTime: 0,         // seconds; snapshot of calculateElapsedTime() for storage listeners
     pauseStartTime: null,
-    totalPausedTime: 0
+    pauseReason: null,      // PauseReason of the current pause
+    totalPausedTime: 0,
+    totalBreakTime: 0,      // milliseconds spent in finished breaks
+    shortBreakTimes: [],    // planned short break times, kept to restore lost alarms
+    longBreakTime: null,    // planned long break time
+    breakSeed: null,        // seed the break times were generated with
+    breakPlanInput: null,   // strategy and inputs of the break times, to generate them again
+    breakAdaptation: null,  // { focusToday, focusSinceLongBreak, factor } when the breaks were planned
+    snoozeCount: 0,         // breaks postponed in this session
+    presetId: null,         // timer preset the session was started with
+    presetName: null,
+    cycle: 1,               // position of the session in its plan
+    totalCycles: 1,         // sessions in the plan; the last one ends with the extended break
+    origin: SessionOrigin.MANUAL, // scheduled sessions are stopped when working hours end
+    awayPeriod: null,       // { since, state, duringBreak } while chrome.idle reports the user away
+    idlePeriods: []         // finished away periods as { start, end, state, duringBreak }
   };
 }
 
@@ -83,29 +114,45 @@ function loadSessionState() {
  * Update the session state
  * @param {Object} session - Current session object
  * @param {string} newState - New session state
+ * @param {number} [now] - Time of the transition; earlier than the current time
+ *   when replaying a transition that was missed
  * @returns {Object} Updated session object
  */
-function updateSessionState(session, newState) {
+function updateSessionState(session, newState, now = Date.now()) {
   const updatedSession = { ...session };
-  const now = Date.now();
   
   // Don't update if state hasn't changed
   if (newState === session.state) {
     return session;
   }
   
-  // If was active and changing state, the background timer has kept elapsedTime current.
-  // No need to add (now - session.stateStartTime) here.
-  // The elapsedTime is the total accumulated focus time.
+  // Focus time is derived from these timestamps by calculateElapsedTime(),
+  // so every interval that is not focus has to be accounted for here.
+  // A long break is only left for focus when it was snoozed.
+  if (session.state === SessionState.SHORT_BREAK || session.state === SessionState.LONG_BREAK) {
+    updatedSession.totalBreakTime = (session.totalBreakTime || 0) + (now - session.stateStartTime);
+  }
 
   // Handle state transitions
   if (newState === SessionState.PAUSED && session.state === SessionState.ACTIVE) {
     updatedSession.pauseStartTime = now;
   } else if (newState === SessionState.ACTIVE && session.state === SessionState.PAUSED) {
     if (session.pauseStartTime) {
-      updatedSession.totalPausedTime += now - session.pauseStartTime;
+      const pausedDuration = now - session.pauseStartTime;
+      updatedSession.totalPausedTime += pausedDuration;
+      
+      // Breaks are planned against focus time, so push every break that was
+      // still pending when the pause started back by the paused duration
+      updatedSession.shortBreakTimes = (session.shortBreakTimes || []).map(time =>
+        time > session.pauseStartTime ? time + pausedDuration : time
+      );
+      if (session.longBreakTime) {
+        updatedSession.longBreakTime = session.longBreakTime + pausedDuration;
+      }
+      
       updatedSession.pauseStartTime = null;
     }
+    updatedSession.pauseReason = null;
   }
   
   updatedSession.state = newState;
@@ -117,43 +164,118 @@ function updateSessionState(session, newState) {
 /**
  * Record a short break in the session
  * @param {Object} session - Current session object
+ * @param {number} duration - Length of the break in seconds
+ * @param {number} focusTime - Focus time of the session when the break starts, in milliseconds
  * @returns {Object} Updated session object
  */
-function recordShortBreak(session) {
+function recordShortBreak(session, duration, focusTime) {
   const updatedSession = { ...session };
-  updatedSession.shortBreaksTaken.push(Date.now());
+  updatedSession.shortBreaksTaken = (session.shortBreaksTaken || []).concat({
+    time: Date.now(),
+    duration,
+    focusTime
+  });
   updatedSession.shortBreakCount += 1;
   return updateSessionState(updatedSession, SessionState.SHORT_BREAK);
 }
 
 /**
- * Calculate the effective elapsed time (excluding paused time)
+ * Get the length of the session's latest short break, which is the running
+ * one during a short break
+ * @param {Object} session - Session object
+ * @param {Object} settings - User settings
+ * @returns {number} Break length in seconds
+ */
+function getShortBreakSeconds(session, settings) {
+  const breaks = session.shortBreaksTaken || [];
+  const latest = breaks[breaks.length - 1];
+  // Sessions from before variable break lengths stored bare timestamps
+  return latest && typeof latest.duration === 'number' ? latest.duration : settings.shortBreakDuration;
+}
+
+/**
+ * Get the focus time since the session's previous short break
+ * @param {Object} session - Session object
+ * @param {number} focusTime - Current focus time in milliseconds
+ * @returns {number} Focus time since the previous break (or the session start) in milliseconds
+ */
+function getFocusSinceLastShortBreak(session, focusTime) {
+  const breaks = session.shortBreaksTaken || [];
+  const latest = breaks[breaks.length - 1];
+  return latest && typeof latest.focusTime === 'number' ? focusTime - latest.focusTime : focusTime;
+}
+
+/**
+ * Check whether a session is the last cycle of a multi-cycle plan, which
+ * ends with the extended break instead of a long break
+ * @param {Object} session - Session object
+ * @returns {boolean} True if the session's long break is the extended break
+ */
+function isExtendedBreak(session) {
+  const totalCycles = session.totalCycles || 1;
+  return totalCycles > 1 && (session.cycle || 1) >= totalCycles;
+}
+
+/**
+ * Get the length of a session's long break
+ * @param {Object} session - Session object
+ * @param {Object} settings - User settings
+ * @returns {number} Break length in minutes
+ */
+function getLongBreakMinutes(session, settings) {
+  return isExtendedBreak(session) ? settings.extendedBreakDuration : settings.longBreakDuration;
+}
+
+/**
+ * Calculate the effective focus time of a session from its timestamps
+ * (excluding paused time and breaks). This is the single source of truth
+ * for focus time; it does not depend on how often anything was updated.
  * @param {Object} session - Current session object
+ * @param {number} [now] - Time to calculate the focus time at
  * @returns {number} Elapsed time in milliseconds
  */
-function calculateElapsedTime(session) {
-  if (session.state === SessionState.IDLE) {
+function calculateElapsedTime(session, now = Date.now()) {
+  if (!session || session.state === SessionState.IDLE) {
     return 0;
   }
   
-  let elapsed = Date.now() - session.startTime - session.totalPausedTime;
+  // Focus stops when the session leaves the active state: while paused,
+  // during a short break and for good once the long break starts
+  const focusEnd = session.state === SessionState.ACTIVE ? now : session.stateStartTime;
   
-  // If currently paused, also subtract the current pause duration
-  if (session.state === SessionState.PAUSED && session.pauseStartTime) {
-    elapsed -= (Date.now() - session.pauseStartTime);
-  }
+  const elapsed = focusEnd - session.startTime - session.totalPausedTime - (session.totalBreakTime || 0);
   
   return Math.max(0, elapsed);
 }
 
+/**
+ * Get the accumulated focus of a running session for adaptive breaks: the
+ * focus recorded when its breaks were planned plus its own focus since then
+ * @param {Object} session - Session object
+ * @param {number} [now] - Time to calculate the focus at
+ * @returns {Object|null} { focusToday, focusSinceLongBreak } in seconds, or
+ *   null for sessions planned without it
+ */
+function getSessionFatigue(session, now = Date.now()) {
+  const adaptation = session && session.breakAdaptation;
+  if (!adaptation) {
+    return null;
+  }
+  const focus = calculateElapsedTime(session, now) / 1000;
+  return {
+    focusToday: adaptation.focusToday + focus,
+    focusSinceLongBreak: adaptation.focusSinceLongBreak + focus
+  };
+}
+
 /**
  * Update the elapsed time in the session
  * @param {Object} session - Current session object
- * @returns {Object} Updated session object
+ * @returns {Object} Updated session object with elapsedTime in seconds
  */
 function updateElapsedTime(session) {
   const updatedSession = { ...session };
-  updatedSession.elapsedTime = calculateElapsedTime(session);
+  updatedSession.elapsedTime = Math.floor(calculateElapsedTime(session) / 1000);
   return updatedSession;
 }
 
@@ -180,12 +302,19 @@ function onSessionChanged(callback) {
 // Export the module's public API
 export {
   SessionState,
+  SessionOrigin,
+  PauseReason,
   createNewSession,
   saveSessionState,
   loadSessionState,
   updateSessionState,
   recordShortBreak,
+  getShortBreakSeconds,
+  getFocusSinceLastShortBreak,
+  isExtendedBreak,
+  getLongBreakMinutes,
   calculateElapsedTime,
+  getSessionFatigue,
   updateElapsedTime,
   onSessionChanged,
   generateSessionId
@@ -8,27 +8,168 @@
  * - Validating settings values
  */
 
+import { MAX_TONE_PATTERNS, validateTonePattern } from '../utils/tone-patterns.js';
+
+/**
+ * Algorithms for placing short breaks, see background/break-strategies.js
+ */
+const BreakStrategy = {
+  SEGMENT_JITTER: 'segmentJitter',    // breaks jittered inside equal segments
+  FIXED_INTERVAL: 'fixedInterval',    // evenly spaced breaks, breaksPerHour per hour
+  POISSON: 'poisson',                 // exponentially distributed gaps
+  UNIFORM_MIN_GAP: 'uniformMinGap'    // uniformly placed breaks with a minimum gap
+};
+
+/**
+ * How the length of a short break is chosen
+ */
+const ShortBreakLength = {
+  FIXED: 'fixed',                     // always shortBreakDuration
+  RANGE: 'range',                     // random length between the minimum and maximum
+  PROPORTIONAL: 'proportional'        // scaled by the focus time since the previous break
+};
+
+/**
+ * Events that can play a sound; each has its own entry in eventSounds
+ */
+const SoundEvent = {
+  SHORT_BREAK: 'shortBreak',
+  SHORT_BREAK_END: 'shortBreakEnd',
+  LONG_BREAK: 'longBreak',
+  LONG_BREAK_END: 'longBreakEnd',
+  SESSION_COMPLETE: 'sessionComplete',   // the extended break that ends a plan is over
+  PRE_BREAK_WARNING: 'preBreakWarning'   // shortly before a short or long break
+};
+
+/**
+ * Settings that a timer preset stores
+ */
+const PRESET_FIELDS = [
+  'shortPeriodDuration',
+  'shortBreakDuration',
+  'longPeriodDuration',
+  'longBreakDuration',
+  'cyclesPerPlan',
+  'extendedBreakDuration'
+];
+
+// Limits for stored presets; all settings share one chrome.storage.sync item,
+// which may not exceed 8 KB
+const MAX_PRESETS = 12;
+const MAX_PRESET_NAME_LENGTH = 40;
+
+// Limit for working-hours ranges; each range creates two alarms per weekday
+const MAX_WORKING_HOURS_RANGES = 10;
+
 /**
  * Default settings for the Random Beep extension
  * @returns {Object} Default settings object
  */
 function getDefaultSettings() {
-  return {
+  const settings = {
     shortPeriodDuration: 5,        // minutes
     shortBreakDuration: 10,        // seconds
+    shortBreakLengthMode: ShortBreakLength.FIXED,
+    shortBreakMinDuration: 10,     // seconds; limits of the range and proportional modes
+    shortBreakMaxDuration: 40,
     longPeriodDuration: 90,        // minutes
     longBreakDuration: 20,         // minutes
+    cumulativeLongBreaks: false,   // focus since the last long break taken counts across sessions
+    cyclesPerPlan: 1,              // focus periods with a long break each; 1 disables the extended break
+    extendedBreakDuration: 45,     // minutes; replaces the long break after the last cycle
+    breakStrategy: BreakStrategy.SEGMENT_JITTER,
+    breaksPerHour: 12,             // average short breaks per hour of focus
+    minBreakGap: 1,                // minutes; breaks closer than this are dropped
+    maxBreakGap: 15,               // minutes; longer gaps get an extra break
+    startQuietMinutes: 0.5,        // no breaks this soon after the session starts
+    endQuietMinutes: 0.5,          // no breaks this close to the long break
     notificationSound: true,
-    shortBreakSound: "mixkit-message-pop-alert-2354.mp3",  // default sound for short breaks
-    longBreakSound: "mixkit-correct-answer-tone-2870.wav", // default sound for long breaks
+    masterVolume: 100,             // percent; scales the volume of every event sound
+    soundFadeInSeconds: 0,         // ramp from silence at the start of a sound; 0 turns it off
+    longBreakSoundRepeats: 1,      // times the long break sound plays in a row
+    eventSounds: {                 // sound, on/off and volume (0-100) per SoundEvent
+      [SoundEvent.SHORT_BREAK]: { sound: "mixkit-message-pop-alert-2354.mp3", enabled: true, volume: 100 },
+      [SoundEvent.SHORT_BREAK_END]: { sound: "mixkit-software-interface-back-2575.wav", enabled: true, volume: 100 },
+      [SoundEvent.LONG_BREAK]: { sound: "mixkit-correct-answer-tone-2870.wav", enabled: true, volume: 100 },
+      [SoundEvent.LONG_BREAK_END]: { sound: "mixkit-happy-bells-notification-937.wav", enabled: true, volume: 100 },
+      [SoundEvent.SESSION_COMPLETE]: { sound: "mixkit-magic-marimba-2820.wav", enabled: true, volume: 100 },
+      [SoundEvent.PRE_BREAK_WARNING]: { sound: "mixkit-long-pop-2358.wav", enabled: false, volume: 60 }
+    },
+    preBreakWarningSeconds: 15,    // the warning sound plays this long before a break
+    tonePatterns: [],              // synthesized beeps, see utils/tone-patterns.js
     autoStartNextSession: false,
+    maxSnoozesPerSession: 3,       // 0 turns snoozing off
+    breakReminderEnabled: false,   // remind after a short break that was worked through
+    replanOnSettingsChange: true,  // re-plan the running session's breaks; false waits for the next session
+    adaptiveBreaksEnabled: false,  // more frequent and longer breaks with accumulated focus
+    adaptiveFreeHours: 2,          // hours of focus today before breaks adapt
+    adaptiveIncreasePerHour: 15,   // percent per further hour today and per hour since the last long break
+    adaptiveMaxIncrease: 60,       // percent
+    idlePauseEnabled: false,       // pause while chrome.idle reports the user away
+    idleThresholdMinutes: 3,       // minutes without input before the user counts as away
+    dayStartHour: 0,               // local hour (0-23) at which a statistics day starts
+    workingHoursEnabled: false,    // start and stop sessions automatically during working hours
+    workingHours: [                // local time ranges; days use Date.getDay() numbering (0 = Sunday)
+      { days: [1, 2, 3, 4, 5], start: "09:00", end: "12:00" },
+      { days: [1, 2, 3, 4, 5], start: "13:30", end: "18:00" }
+    ],
     theme: "default",              // "default", "dark", "light", "custom"
     customTheme: {
       primaryColor: "#3F51B5",
       secondaryColor: "#FFC107"
     },
-    language: 'en'
+    language: 'en',
+    presets: [],                   // named timer presets, see PRESET_FIELDS
+    activePresetId: 'default'      // preset the timer settings above belong to
   };
+  
+  settings.presets = [{ ...createPreset('Default', settings), id: 'default' }];
+  return settings;
+}
+
+/**
+ * Create a named timer preset from the timer values of a settings object
+ * @param {string} name - Preset name
+ * @param {Object} source - Settings or preset to take the timer values from
+ * @returns {Object} New preset with a unique ID
+ */
+function createPreset(name, source) {
+  const preset = {
+    id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+    name
+  };
+  PRESET_FIELDS.forEach(field => {
+    preset[field] = source[field];
+  });
+  return preset;
+}
+
+/**
+ * Make a preset the active one by copying its timer values into the settings
+ * @param {Object} settings - Current settings
+ * @param {string} presetId - ID of the preset to apply
+ * @returns {Object} Updated settings, unchanged if the preset does not exist
+ */
+function applyPreset(settings, presetId) {
+  const preset = (settings.presets || []).find(p => p.id === presetId);
+  if (!preset) {
+    return settings;
+  }
+  
+  const updated = { ...settings, activePresetId: preset.id };
+  PRESET_FIELDS.forEach(field => {
+    updated[field] = preset[field];
+  });
+  return updated;
+}
+
+/**
+ * Get the active preset of a settings object
+ * @param {Object} settings - Current settings
+ * @returns {Object|null} Active preset, or null if there is none
+ */
+function getActivePreset(settings) {
+  return (settings.presets || []).find(p => p.id === settings.activePresetId) || null;
 }
 
 /**
@@ -96,6 +237,15 @@ function validateSettings(settings) {
       defaults.shortBreakDuration,
       5, 60
     );
+    validated.shortBreakLengthMode = Object.values(ShortBreakLength).includes(settings.shortBreakLengthMode)
+      ? settings.shortBreakLengthMode
+      : defaults.shortBreakLengthMode;
+    validated.shortBreakMinDuration = validateNumericSetting(settings.shortBreakMinDuration, defaults.shortBreakMinDuration, 5, 120);
+    validated.shortBreakMaxDuration = validateNumericSetting(settings.shortBreakMaxDuration, defaults.shortBreakMaxDuration, 5, 120);
+    if (validated.shortBreakMinDuration >= validated.shortBreakMaxDuration) {
+      validated.shortBreakMinDuration = defaults.shortBreakMinDuration;
+      validated.shortBreakMaxDuration = defaults.shortBreakMaxDuration;
+    }
     validated.longPeriodDuration = validateNumericSetting(
       settings.longPeriodDuration,
       defaults.longPeriodDuration,
@@ -106,6 +256,45 @@ function validateSettings(settings) {
       defaults.longBreakDuration,
       1, 60
     );
+    validated.cyclesPerPlan = Number.isInteger(Number(settings.cyclesPerPlan))
+      ? validateNumericSetting(settings.cyclesPerPlan, defaults.cyclesPerPlan, 1, 12)
+      : defaults.cyclesPerPlan;
+    validated.extendedBreakDuration = validateNumericSetting(
+      settings.extendedBreakDuration,
+      defaults.extendedBreakDuration,
+      1, 120
+    );
+    validated.maxSnoozesPerSession = Number.isInteger(Number(settings.maxSnoozesPerSession))
+      ? validateNumericSetting(settings.maxSnoozesPerSession, defaults.maxSnoozesPerSession, 0, 10)
+      : defaults.maxSnoozesPerSession;
+    validated.idleThresholdMinutes = Number.isInteger(Number(settings.idleThresholdMinutes))
+      ? validateNumericSetting(settings.idleThresholdMinutes, defaults.idleThresholdMinutes, 1, 30)
+      : defaults.idleThresholdMinutes;
+    validated.dayStartHour = Number.isInteger(Number(settings.dayStartHour))
+      ? validateNumericSetting(settings.dayStartHour, defaults.dayStartHour, 0, 23)
+      : defaults.dayStartHour;
+
+    // Validate break strategy
+    validated.breakStrategy = Object.values(BreakStrategy).includes(settings.breakStrategy)
+      ? settings.breakStrategy
+      : defaults.breakStrategy;
+
+    // Validate break frequency, gaps and quiet zones
+    validated.breaksPerHour = validateNumericSetting(settings.breaksPerHour, defaults.breaksPerHour, 1, 30);
+    validated.minBreakGap = validateNumericSetting(settings.minBreakGap, defaults.minBreakGap, 0, 60);
+    validated.maxBreakGap = validateNumericSetting(settings.maxBreakGap, defaults.maxBreakGap, 1, 120);
+    if (validated.minBreakGap >= validated.maxBreakGap) {
+      validated.minBreakGap = defaults.minBreakGap;
+      validated.maxBreakGap = defaults.maxBreakGap;
+    }
+    // A maximum gap below the average gap would fill in breaks until the
+    // frequency no longer matters; the frequency wins
+    validated.maxBreakGap = Math.max(validated.maxBreakGap, 60 / validated.breaksPerHour);
+    validated.adaptiveFreeHours = validateNumericSetting(settings.adaptiveFreeHours, defaults.adaptiveFreeHours, 0, 12);
+    validated.adaptiveIncreasePerHour = validateNumericSetting(settings.adaptiveIncreasePerHour, defaults.adaptiveIncreasePerHour, 1, 100);
+    validated.adaptiveMaxIncrease = validateNumericSetting(settings.adaptiveMaxIncrease, defaults.adaptiveMaxIncrease, 0, 200);
+    validated.startQuietMinutes = validateNumericSetting(settings.startQuietMinutes, defaults.startQuietMinutes, 0, 60);
+    validated.endQuietMinutes = validateNumericSetting(settings.endQuietMinutes, defaults.endQuietMinutes, 0, 60);
 
     // Validate theme
     validated.theme = ["default", "dark", "light", "custom"].includes(settings.theme)
@@ -120,15 +309,58 @@ function validateSettings(settings) {
     validated.autoStartNextSession = typeof settings.autoStartNextSession === 'boolean'
       ? settings.autoStartNextSession
       : defaults.autoStartNextSession;
-
-    // Validate sound selections - ensure they are strings
-    validated.shortBreakSound = typeof settings.shortBreakSound === 'string' && settings.shortBreakSound
-      ? settings.shortBreakSound
-      : defaults.shortBreakSound;
       
-    validated.longBreakSound = typeof settings.longBreakSound === 'string' && settings.longBreakSound
-      ? settings.longBreakSound
-      : defaults.longBreakSound;
+    validated.breakReminderEnabled = typeof settings.breakReminderEnabled === 'boolean'
+      ? settings.breakReminderEnabled
+      : defaults.breakReminderEnabled;
+      
+    validated.cumulativeLongBreaks = typeof settings.cumulativeLongBreaks === 'boolean'
+      ? settings.cumulativeLongBreaks
+      : defaults.cumulativeLongBreaks;
+      
+    validated.replanOnSettingsChange = typeof settings.replanOnSettingsChange === 'boolean'
+      ? settings.replanOnSettingsChange
+      : defaults.replanOnSettingsChange;
+      
+    validated.adaptiveBreaksEnabled = typeof settings.adaptiveBreaksEnabled === 'boolean'
+      ? settings.adaptiveBreaksEnabled
+      : defaults.adaptiveBreaksEnabled;
+      
+    validated.idlePauseEnabled = typeof settings.idlePauseEnabled === 'boolean'
+      ? settings.idlePauseEnabled
+      : defaults.idlePauseEnabled;
+      
+    validated.workingHoursEnabled = typeof settings.workingHoursEnabled === 'boolean'
+      ? settings.workingHoursEnabled
+      : defaults.workingHoursEnabled;
+
+    // Validate working hours; an empty list is allowed and keeps the schedule idle
+    if (Array.isArray(settings.workingHours)) {
+      validated.workingHours = settings.workingHours
+        .map(validateWorkingHoursRange)
+        .filter(Boolean)
+        .slice(0, MAX_WORKING_HOURS_RANGES);
+    }
+
+    // Validate sound selections
+    validated.eventSounds = validateEventSounds(settings, defaults.eventSounds);
+    validated.preBreakWarningSeconds = validateNumericSetting(
+      settings.preBreakWarningSeconds,
+      defaults.preBreakWarningSeconds,
+      5, 60
+    );
+    validated.masterVolume = validateNumericSetting(settings.masterVolume, defaults.masterVolume, 0, 100);
+    validated.soundFadeInSeconds = validateNumericSetting(settings.soundFadeInSeconds, defaults.soundFadeInSeconds, 0, 5);
+    validated.longBreakSoundRepeats = validateNumericSetting(settings.longBreakSoundRepeats, defaults.longBreakSoundRepeats, 1, 5);
+    
+    // Validate tone patterns; event sounds that refer to a dropped pattern
+    // play the default sound instead
+    if (Array.isArray(settings.tonePatterns)) {
+      validated.tonePatterns = settings.tonePatterns
+        .map(validateTonePattern)
+        .filter(Boolean)
+        .slice(0, MAX_TONE_PATTERNS);
+    }
 
     // Validate custom theme
     if (validated.theme === 'custom') {
@@ -147,11 +379,136 @@ function validateSettings(settings) {
     validated.language = ['en', 'zh'].includes(settings.language)
       ? settings.language
       : defaults.language;
+
+    // Validate presets; settings saved before presets existed keep the defaults
+    if (Array.isArray(settings.presets)) {
+      const presets = settings.presets
+        .slice(0, MAX_PRESETS)
+        .map(preset => validatePreset(preset, validated))
+        .filter(Boolean);
+      if (presets.length > 0) {
+        validated.presets = presets;
+        validated.activePresetId = presets.some(p => p.id === settings.activePresetId)
+          ? settings.activePresetId
+          : null;
+      }
+    }
+  }
+
+  // The timer settings are the working copy of the active preset, so changes
+  // made to them are kept in the preset as well
+  validated.presets = validated.presets.map(preset => {
+    if (preset.id !== validated.activePresetId) {
+      return preset;
+    }
+    const synced = { ...preset };
+    PRESET_FIELDS.forEach(field => {
+      synced[field] = validated[field];
+    });
+    return synced;
+  });
+
+  return validated;
+}
+
+/**
+ * Validate a stored preset
+ * @param {Object} preset - Preset to validate
+ * @param {Object} fallback - Validated settings to take invalid values from
+ * @returns {Object|null} Validated preset, or null if it cannot be used
+ */
+function validatePreset(preset, fallback) {
+  if (!preset || typeof preset.id !== 'string' || !preset.id ||
+      typeof preset.name !== 'string' || !preset.name.trim()) {
+    return null;
   }
+  
+  // Timer values go through the same checks as the settings themselves
+  const values = validateSettings({ ...fallback, ...pickPresetFields(preset), presets: null });
+  
+  return {
+    id: preset.id,
+    name: preset.name.trim().slice(0, MAX_PRESET_NAME_LENGTH),
+    ...pickPresetFields(values)
+  };
+}
+
+/**
+ * Pick the timer values a preset stores from an object
+ * @param {Object} source - Settings or preset
+ * @returns {Object} Object with only the preset fields
+ */
+function pickPresetFields(source) {
+  const values = {};
+  PRESET_FIELDS.forEach(field => {
+    if (source[field] !== undefined) {
+      values[field] = source[field];
+    }
+  });
+  return values;
+}
 
+/**
+ * Validate the sound of every event. Settings saved before there was a sound
+ * per event only had a short and a long break sound; the short break sound
+ * also played when a short break ended.
+ * @param {Object} settings - Settings object to validate
+ * @param {Object} defaults - Default event sounds
+ * @returns {Object} Validated sound settings keyed by SoundEvent
+ */
+function validateEventSounds(settings, defaults) {
+  const eventSounds = settings.eventSounds && typeof settings.eventSounds === 'object'
+    ? settings.eventSounds
+    : {
+        [SoundEvent.SHORT_BREAK]: { sound: settings.shortBreakSound },
+        [SoundEvent.SHORT_BREAK_END]: { sound: settings.shortBreakSound },
+        [SoundEvent.LONG_BREAK]: { sound: settings.longBreakSound }
+      };
+  
+  const validated = {};
+  Object.values(SoundEvent).forEach(event => {
+    const value = eventSounds[event] && typeof eventSounds[event] === 'object' ? eventSounds[event] : {};
+    const fallback = defaults[event];
+    validated[event] = {
+      sound: typeof value.sound === 'string' && value.sound ? value.sound : fallback.sound,
+      enabled: typeof value.enabled === 'boolean' ? value.enabled : fallback.enabled,
+      volume: validateNumericSetting(value.volume, fallback.volume, 0, 100)
+    };
+  });
   return validated;
 }
 
+/**
+ * Validate a working-hours range
+ * @param {Object} range - Range as { days, start, end }
+ * @returns {Object|null} Validated range, or null if it cannot be used
+ */
+function validateWorkingHoursRange(range) {
+  if (!range || !Array.isArray(range.days) ||
+      !isValidTimeOfDay(range.start) || !isValidTimeOfDay(range.end) ||
+      range.start >= range.end) {
+    return null;
+  }
+  
+  const days = [...new Set(range.days.map(Number))]
+    .filter(day => Number.isInteger(day) && day >= 0 && day <= 6)
+    .sort((a, b) => a - b);
+  if (days.length === 0) {
+    return null;
+  }
+  
+  return { days, start: range.start, end: range.end };
+}
+
+/**
+ * Check whether a value is a time of day in 24-hour "HH:MM" format
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value is a valid time of day
+ */
+function isValidTimeOfDay(value) {
+  return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
 /**
  * Validate a numeric setting value
  * @param {number} value - Value to validate
@@ -190,7 +547,16 @@ function onSettingsChanged(callback) {
 
 // Export the module's public API
 export {
+  BreakStrategy,
+  ShortBreakLength,
+  SoundEvent,
+  PRESET_FIELDS,
+  MAX_PRESETS,
+  MAX_WORKING_HOURS_RANGES,
   getDefaultSettings,
+  createPreset,
+  applyPreset,
+  getActivePreset,
   saveSettings,
   loadSettings,
   validateSettings,
@@ -2,34 +2,50 @@
  * statistics.js
  * 
  * This module handles the tracking and storage of usage statistics:
- * - Recording focus sessions
- * - Tracking breaks taken
- * - Calculating daily and weekly statistics
+ * - Recording session events in an append-only ledger; only the background
+ *   service worker writes it, pages ask it to through runtime messages
+ * - Deriving daily and weekly statistics from the ledger
  * - Providing data for visualization
  */
 
 import { loadSettings } from './settings.js';
+import { getDayKey, getWeekKey, getNextDayStart, getLastNDays } from '../utils/time-utils.js';
+
+// Keep ledger events for 12 weeks, the longest range the statistics show;
+// migrated legacy totals are kept for good, they hold the days before the ledger
+const LEDGER_RETENTION_DAYS = 84;
 
 /**
- * Get the ISO date string for today (YYYY-MM-DD)
- * @returns {string} Today's date in ISO format
+ * Statistics event types recorded in the ledger
  */
-function getTodayString() {
-  return new Date().toISOString().split('T')[0];
-}
+const StatisticsEventType = {
+  SESSION_STARTED: 'sessionStarted',
+  BREAK_STARTED: 'breakStarted',
+  BREAK_ENDED: 'breakEnded',
+  BREAK_SNOOZED: 'breakSnoozed',
+  BREAK_SKIPPED: 'breakSkipped',
+  PAUSED: 'paused',
+  RESUMED: 'resumed',
+  SESSION_RESET: 'sessionReset',
+  LEGACY_TOTALS: 'legacyTotals'
+};
 
 /**
- * Get the week number and year (YYYY-WXX)
- * @param {Date} date - Date to get week for
- * @returns {string} Week identifier in YYYY-WXX format
+ * Whether a short break was actually used to look away from the screen
  */
-function getWeekNumber(date) {
-  const d = new Date(date);
-  d.setHours(0, 0, 0, 0);
-  d.setDate(d.getDate() + 3 - (d.getDay() + 6) % 7);
-  const week = Math.floor((d.getTime() - new Date(d.getFullYear(), 0, 4).getTime()) / 86400000 / 7) + 1;
-  return `${d.getFullYear()}-W${week.toString().padStart(2, '0')}`;
-}
+const BreakCompliance = {
+  HONORED: 'honored',
+  IGNORED: 'ignored'
+};
+
+// chrome.idle cannot report less inactivity than this, so shorter breaks are
+// only checked when the screen was locked or the user was away
+const MIN_CHECKED_BREAK_SECONDS = 15;
+
+// Pending ledger write, used to apply appends one after another. The queue
+// only orders writes within one JavaScript context, which is why the ledger
+// is written by the service worker alone.
+let ledgerWriteQueue = Promise.resolve();
 
 /**
  * Get default statistics structure
@@ -51,126 +67,323 @@ function getDefaultDailyStats() {
     totalFocusTime: 0,      // seconds
     shortBreaksTaken: 0,
     longBreaksTaken: 0,
-    sessionsCompleted: 0
+    sessionsCompleted: 0,
+    breaksSnoozed: 0,
+    breaksSkipped: 0,
+    breaksHonored: 0,       // short breaks without keyboard or mouse input
+    breaksIgnored: 0,       // short breaks the user kept working through
+    presetFocus: {}         // seconds of focus per preset name
   };
 }
 
 /**
- * Load statistics from storage
- * @returns {Promise<Object>} Promise that resolves with statistics object
+ * Load the event ledger from chrome.storage.local
+ * @returns {Promise<Array<Object>>} Promise that resolves with the ledger events
  */
-function loadStatistics() {
+function loadLedger() {
   return new Promise((resolve) => {
-    chrome.storage.sync.get('statistics', (data) => {
-      if (chrome.runtime.lastError || !data.statistics) {
-        resolve(getDefaultStatistics());
+    chrome.storage.local.get('statisticsLedger', (data) => {
+      if (chrome.runtime.lastError || !Array.isArray(data.statisticsLedger)) {
+        resolve([]);
       } else {
-        resolve(data.statistics);
+        resolve(data.statisticsLedger);
       }
     });
   });
 }
 
 /**
- * Save statistics to storage
- * @param {Object} statistics - Statistics object to save
- * @returns {Promise} Promise that resolves when statistics are saved
+ * Save the event ledger to chrome.storage.local
+ * @param {Array<Object>} events - Ledger events
+ * @returns {Promise} Promise that resolves when the ledger is saved
  */
-function saveStatistics(statistics) {
+function saveLedger(events) {
   return new Promise((resolve, reject) => {
-    chrome.storage.sync.set({ statistics }, () => {
+    chrome.storage.local.set({ statisticsLedger: events }, () => {
       if (chrome.runtime.lastError) {
         reject(chrome.runtime.lastError);
       } else {
-        resolve(statistics);
+        resolve(events);
       }
     });
   });
 }
 
 /**
- * Update statistics with completed session data
- * @param {number} focusTime - Focus time in seconds
- * @param {number} shortBreaks - Number of short breaks taken
- * @param {number} longBreaks - Number of long breaks taken
- * @returns {Promise<Object>} Promise that resolves with updated statistics
+ * Append events to the ledger. Appends are queued so concurrent callers
+ * never overwrite each other's events. Only call this from the service worker.
+ * @param {Array<Object>} newEvents - Events to append
+ * @returns {Promise<Array<Object>>} Promise that resolves with the updated ledger
  */
-async function updateStatistics(focusTime, shortBreaks, longBreaks) {
-  const today = getTodayString();
-  const week = getWeekNumber(new Date());
-  
-  const stats = await loadStatistics();
-  
-  // Initialize daily stats if not present
-  if (!stats.dailyFocus[today]) {
-    stats.dailyFocus[today] = getDefaultDailyStats();
-  }
-  
-  // Initialize weekly stats if not present
-  if (!stats.weeklyFocus[week]) {
-    stats.weeklyFocus[week] = getDefaultDailyStats();
-  }
-  
-  // Update daily stats
-  stats.dailyFocus[today].totalFocusTime += focusTime;
-  stats.dailyFocus[today].shortBreaksTaken += shortBreaks;
-  stats.dailyFocus[today].longBreaksTaken += longBreaks;
-  stats.dailyFocus[today].sessionsCompleted += longBreaks > 0 ? 1 : 0;
-  
-  // Update weekly stats
-  stats.weeklyFocus[week].totalFocusTime += focusTime;
-  stats.weeklyFocus[week].shortBreaksTaken += shortBreaks;
-  stats.weeklyFocus[week].longBreaksTaken += longBreaks;
-  stats.weeklyFocus[week].sessionsCompleted += longBreaks > 0 ? 1 : 0;
-  
-  // Clean up old data (keep only last 30 days and 12 weeks)
-  cleanupOldStatistics(stats);
+function appendToLedger(newEvents) {
+  const write = ledgerWriteQueue.then(async () => {
+    const events = await loadLedger();
+    const cutoff = Date.now() - (LEDGER_RETENTION_DAYS * 86400000);
+    const retained = events.filter(event =>
+      event.time >= cutoff || event.type === StatisticsEventType.LEGACY_TOTALS);
+    return saveLedger(retained.concat(newEvents));
+  });
   
-  return saveStatistics(stats);
+  // Keep the queue alive even if this write fails
+  ledgerWriteQueue = write.catch(() => {});
+  return write;
 }
 
 /**
- * Clean up old statistics data
- * @param {Object} stats - Statistics object to clean
- * @returns {Object} Cleaned statistics object
+ * Record a statistics event; only the service worker records events
+ * @param {string} type - Event type from StatisticsEventType
+ * @param {string} sessionId - ID of the session the event belongs to
+ * @param {number} [time] - When the event happened, in milliseconds since epoch
+ * @param {Object} [details] - Additional event data, e.g. { breakType: 'short' }
+ * @returns {Promise<Object>} Promise that resolves with the recorded event
  */
-function cleanupOldStatistics(stats) {
-  // Keep only the last 30 days
-  const dailyKeys = Object.keys(stats.dailyFocus).sort().reverse();
-  if (dailyKeys.length > 30) {
-    const keysToKeep = dailyKeys.slice(0, 30);
-    const newDailyFocus = {};
-    
-    keysToKeep.forEach(key => {
-      newDailyFocus[key] = stats.dailyFocus[key];
+async function recordEvent(type, sessionId, time = Date.now(), details = {}) {
+  const event = { type, sessionId, time, ...details };
+  await appendToLedger([event]);
+  console.log('Recorded statistics event:', event);
+  return event;
+}
+
+/**
+ * Move statistics saved by earlier versions, which kept running totals in
+ * chrome.storage.sync, into the ledger as a single totals event. The event
+ * is exempt from the ledger retention, since the sync copy is removed.
+ * @returns {Promise<boolean>} Promise that resolves with whether anything was migrated
+ */
+function migrateLegacyStatistics() {
+  return new Promise((resolve) => {
+    chrome.storage.sync.get('statistics', async (data) => {
+      if (chrome.runtime.lastError || !data.statistics) {
+        resolve(false);
+        return;
+      }
+      
+      try {
+        await appendToLedger([{
+          type: StatisticsEventType.LEGACY_TOTALS,
+          sessionId: null,
+          time: Date.now(),
+          dailyFocus: data.statistics.dailyFocus || {},
+          weeklyFocus: data.statistics.weeklyFocus || {}
+        }]);
+        chrome.storage.sync.remove('statistics', () => resolve(true));
+      } catch (error) {
+        console.error('Error migrating legacy statistics:', error);
+        resolve(false);
+      }
     });
-    
-    stats.dailyFocus = newDailyFocus;
-  }
+  });
+}
+
+/**
+ * Derive daily and weekly statistics from ledger events. Focus time is the
+ * time between an event that starts focus (session started, resumed, short
+ * break ended) and the next event that stops it (paused, break started,
+ * reset); focus that is still running is counted up to `now`. Breaks that
+ * were snoozed or skipped are not counted as taken; focus continues after a
+ * snooze and after a skipped short break. Short breaks that could be checked
+ * for input activity are counted as honored or ignored. Focus is also
+ * totalled per preset.
+ * Days and weeks are local and start at `dayStartHour`; focus that crosses
+ * the start of a day is split between both days.
+ * @param {Array<Object>} events - Ledger events
+ * @param {number} [now] - Time to count running focus up to
+ * @param {number} [dayStartHour=0] - Local hour at which a new day starts
+ * @returns {Object} Statistics with dailyFocus and weeklyFocus
+ */
+function aggregateEvents(events, now = Date.now(), dayStartHour = 0) {
+  const stats = getDefaultStatistics();
+  const focusStartBySession = {};
+  const breakStartBySession = {};
+  const presetBySession = {};
   
-  // Keep only the last 12 weeks
-  const weeklyKeys = Object.keys(stats.weeklyFocus).sort().reverse();
-  if (weeklyKeys.length > 12) {
-    const keysToKeep = weeklyKeys.slice(0, 12);
-    const newWeeklyFocus = {};
-    
-    keysToKeep.forEach(key => {
-      newWeeklyFocus[key] = stats.weeklyFocus[key];
+  const getBuckets = (time) => {
+    const day = getDayKey(time, dayStartHour);
+    const week = getWeekKey(time, dayStartHour);
+    if (!stats.dailyFocus[day]) {
+      stats.dailyFocus[day] = getDefaultDailyStats();
+    }
+    if (!stats.weeklyFocus[week]) {
+      stats.weeklyFocus[week] = getDefaultDailyStats();
+    }
+    return [stats.dailyFocus[day], stats.weeklyFocus[week]];
+  };
+  
+  const addToBuckets = (time, field, amount) => {
+    getBuckets(time).forEach(bucket => {
+      bucket[field] += amount;
     });
+  };
+  
+  const stopFocus = (sessionId, time) => {
+    const focusStart = focusStartBySession[sessionId];
+    if (focusStart === undefined) {
+      return;
+    }
     
-    stats.weeklyFocus = newWeeklyFocus;
+    let intervalStart = focusStart;
+    while (intervalStart < time) {
+      const intervalEnd = Math.min(time, getNextDayStart(intervalStart, dayStartHour));
+      const seconds = (intervalEnd - intervalStart) / 1000;
+      addToBuckets(intervalStart, 'totalFocusTime', seconds);
+      
+      const presetName = presetBySession[sessionId];
+      if (presetName) {
+        getBuckets(intervalStart).forEach(bucket => {
+          bucket.presetFocus[presetName] = (bucket.presetFocus[presetName] || 0) + seconds;
+        });
+      }
+      intervalStart = intervalEnd;
+    }
+    delete focusStartBySession[sessionId];
+  };
+  
+  // Take back a break that was counted as taken when it started
+  const uncountBreak = (sessionId, breakType, uncountSession) => {
+    const breakStart = breakStartBySession[sessionId];
+    if (breakStart === undefined) {
+      return;
+    }
+    
+    if (breakType === 'long') {
+      addToBuckets(breakStart, 'longBreaksTaken', -1);
+      if (uncountSession) {
+        addToBuckets(breakStart, 'sessionsCompleted', -1);
+      }
+    } else {
+      addToBuckets(breakStart, 'shortBreaksTaken', -1);
+    }
+    delete breakStartBySession[sessionId];
+  };
+  
+  const sortedEvents = [...events].sort((a, b) => a.time - b.time);
+  
+  for (const event of sortedEvents) {
+    switch (event.type) {
+      case StatisticsEventType.SESSION_STARTED:
+        presetBySession[event.sessionId] = event.presetName || null;
+        focusStartBySession[event.sessionId] = event.time;
+        break;
+        
+      case StatisticsEventType.RESUMED:
+        focusStartBySession[event.sessionId] = event.time;
+        break;
+        
+      case StatisticsEventType.PAUSED:
+      case StatisticsEventType.SESSION_RESET:
+        stopFocus(event.sessionId, event.time);
+        break;
+        
+      case StatisticsEventType.BREAK_STARTED:
+        stopFocus(event.sessionId, event.time);
+        breakStartBySession[event.sessionId] = event.time;
+        if (event.breakType === 'long') {
+          // A session is complete once it reaches its long break
+          addToBuckets(event.time, 'longBreaksTaken', 1);
+          addToBuckets(event.time, 'sessionsCompleted', 1);
+        } else {
+          addToBuckets(event.time, 'shortBreaksTaken', 1);
+        }
+        break;
+        
+      case StatisticsEventType.BREAK_ENDED:
+        // Focus only continues after a short break; a long break ends the session
+        if (event.breakType !== 'long') {
+          focusStartBySession[event.sessionId] = event.time;
+        }
+        if (event.compliance === BreakCompliance.HONORED) {
+          addToBuckets(event.time, 'breaksHonored', 1);
+        } else if (event.compliance === BreakCompliance.IGNORED) {
+          addToBuckets(event.time, 'breaksIgnored', 1);
+        }
+        break;
+        
+      case StatisticsEventType.BREAK_SNOOZED:
+        // A snoozed break is postponed, so neither it nor the session is done yet
+        uncountBreak(event.sessionId, event.breakType, true);
+        addToBuckets(event.time, 'breaksSnoozed', 1);
+        focusStartBySession[event.sessionId] = event.time;
+        break;
+        
+      case StatisticsEventType.BREAK_SKIPPED:
+        // Skipping the long break still completes the session
+        uncountBreak(event.sessionId, event.breakType, false);
+        addToBuckets(event.time, 'breaksSkipped', 1);
+        if (event.breakType !== 'long') {
+          focusStartBySession[event.sessionId] = event.time;
+        }
+        break;
+        
+      case StatisticsEventType.LEGACY_TOTALS:
+        mergeTotals(stats.dailyFocus, event.dailyFocus);
+        mergeTotals(stats.weeklyFocus, event.weeklyFocus);
+        break;
+        
+      default:
+        console.warn('Unknown statistics event type:', event.type);
+    }
   }
   
+  // Count focus that is still running
+  Object.keys(focusStartBySession).forEach(sessionId => stopFocus(sessionId, now));
+  
+  // Report whole seconds
+  [stats.dailyFocus, stats.weeklyFocus].forEach(buckets => {
+    Object.values(buckets).forEach(bucket => {
+      bucket.totalFocusTime = Math.round(bucket.totalFocusTime);
+      Object.keys(bucket.presetFocus).forEach(name => {
+        bucket.presetFocus[name] = Math.round(bucket.presetFocus[name]);
+      });
+    });
+  });
+  
   return stats;
 }
 
+/**
+ * Get the share of checked short breaks that were honored
+ * @param {Object} stats - Daily or weekly statistics
+ * @returns {number|null} Rate between 0 and 1, or null if no break was checked
+ */
+function getComplianceRate(stats) {
+  const checked = (stats.breaksHonored || 0) + (stats.breaksIgnored || 0);
+  return checked > 0 ? stats.breaksHonored / checked : null;
+}
+
+/**
+ * Add saved totals into derived statistics buckets
+ * @param {Object} target - Buckets keyed by day or week
+ * @param {Object} totals - Saved totals keyed by day or week
+ */
+function mergeTotals(target, totals) {
+  Object.entries(totals || {}).forEach(([key, value]) => {
+    if (!target[key]) {
+      target[key] = getDefaultDailyStats();
+    }
+    Object.keys(target[key]).forEach(field => {
+      if (typeof target[key][field] === 'number') {
+        target[key][field] += Number(value[field]) || 0;
+      }
+    });
+  });
+}
+
+/**
+ * Load statistics, derived from the event ledger
+ * @returns {Promise<Object>} Promise that resolves with statistics object
+ */
+async function loadStatistics() {
+  const [events, settings] = await Promise.all([loadLedger(), loadSettings()]);
+  return aggregateEvents(events, Date.now(), settings.dayStartHour);
+}
+
 /**
  * Get today's statistics
  * @returns {Promise<Object>} Promise that resolves with today's statistics
  */
 async function getTodayStatistics() {
-  const stats = await loadStatistics();
-  const today = getTodayString();
+  const [stats, settings] = await Promise.all([loadStatistics(), loadSettings()]);
+  const today = getDayKey(Date.now(), settings.dayStartHour);
   
   return stats.dailyFocus[today] || getDefaultDailyStats();
 }
@@ -180,8 +393,8 @@ async function getTodayStatistics() {
  * @returns {Promise<Object>} Promise that resolves with this week's statistics
  */
 async function getThisWeekStatistics() {
-  const stats = await loadStatistics();
-  const week = getWeekNumber(new Date());
+  const [stats, settings] = await Promise.all([loadStatistics(), loadSettings()]);
+  const week = getWeekKey(Date.now(), settings.dayStartHour);
   
   return stats.weeklyFocus[week] || getDefaultDailyStats();
 }
@@ -192,47 +405,157 @@ async function getThisWeekStatistics() {
  * @returns {Promise<Object>} Promise that resolves with daily statistics
  */
 async function getDailyStatistics(days = 7) {
-  const stats = await loadStatistics();
+  const [stats, settings] = await Promise.all([loadStatistics(), loadSettings()]);
   const result = {};
   
   // Get the last n days
-  const today = new Date();
-  for (let i = 0; i < days; i++) {
-    const date = new Date(today);
-    date.setDate(date.getDate() - i);
-    const dateString = date.toISOString().split('T')[0];
-    
+  getLastNDays(days, settings.dayStartHour).forEach(dateString => {
     result[dateString] = stats.dailyFocus[dateString] || getDefaultDailyStats();
-  }
+  });
   
   return result;
 }
 
 /**
- * Export statistics data as JSON
+ * Get the focus time since the last long break that was actually taken;
+ * skipped and snoozed long breaks do not count, and neither does resetting
+ * a session, so the time adds up across sessions. A long break that was
+ * running when its session was reset counts as taken, as in aggregateEvents();
+ * ledgers written before resets recorded its end only hold the reset.
+ * @param {Array<Object>} events - Ledger events
+ * @param {number} [now] - Time to count running focus up to
+ * @returns {number} Focus time in seconds
+ */
+function getFocusSinceLongBreak(events, now = Date.now()) {
+  const focusStartBySession = {};
+  const longBreakBySession = {};
+  let focusTime = 0;
+  
+  const stopFocus = (sessionId, time) => {
+    if (focusStartBySession[sessionId] !== undefined) {
+      focusTime += (time - focusStartBySession[sessionId]) / 1000;
+      delete focusStartBySession[sessionId];
+    }
+  };
+  
+  [...events].sort((a, b) => a.time - b.time).forEach(event => {
+    switch (event.type) {
+      case StatisticsEventType.SESSION_STARTED:
+      case StatisticsEventType.RESUMED:
+        focusStartBySession[event.sessionId] = event.time;
+        break;
+      case StatisticsEventType.BREAK_SNOOZED:
+        delete longBreakBySession[event.sessionId];
+        focusStartBySession[event.sessionId] = event.time;
+        break;
+      case StatisticsEventType.PAUSED:
+        stopFocus(event.sessionId, event.time);
+        break;
+      case StatisticsEventType.SESSION_RESET:
+        stopFocus(event.sessionId, event.time);
+        if (longBreakBySession[event.sessionId]) {
+          delete longBreakBySession[event.sessionId];
+          focusTime = 0;
+        }
+        break;
+      case StatisticsEventType.BREAK_STARTED:
+        stopFocus(event.sessionId, event.time);
+        if (event.breakType === 'long') {
+          longBreakBySession[event.sessionId] = true;
+        }
+        break;
+      case StatisticsEventType.BREAK_ENDED:
+        if (event.breakType === 'long') {
+          delete longBreakBySession[event.sessionId];
+          focusTime = 0;
+        } else {
+          focusStartBySession[event.sessionId] = event.time;
+        }
+        break;
+      case StatisticsEventType.BREAK_SKIPPED:
+        delete longBreakBySession[event.sessionId];
+        if (event.breakType !== 'long') {
+          focusStartBySession[event.sessionId] = event.time;
+        }
+        break;
+      default:
+        break;
+    }
+  });
+  
+  Object.keys(focusStartBySession).forEach(sessionId => stopFocus(sessionId, now));
+  return Math.round(focusTime);
+}
+
+/**
+ * Get the accumulated focus that makes breaks adapt: focus today and focus
+ * since the last long break
+ * @returns {Promise<Object>} Promise that resolves with { focusToday, focusSinceLongBreak } in seconds
+ */
+async function getFatigueStatistics() {
+  const [events, settings] = await Promise.all([loadLedger(), loadSettings()]);
+  const now = Date.now();
+  const stats = aggregateEvents(events, now, settings.dayStartHour);
+  const today = stats.dailyFocus[getDayKey(now, settings.dayStartHour)];
+  
+  return {
+    focusToday: today ? today.totalFocusTime : 0,
+    focusSinceLongBreak: getFocusSinceLongBreak(events, now)
+  };
+}
+
+/**
+ * Get the most recent session start events, e.g. to generate their break
+ * schedules again from the recorded seed
+ * @param {number} [limit=20] - Maximum number of events
+ * @returns {Promise<Array<Object>>} Promise that resolves with the events, newest first
+ */
+async function getRecentSessionStarts(limit = 20) {
+  const events = await loadLedger();
+  return events
+    .filter(event => event.type === StatisticsEventType.SESSION_STARTED)
+    .sort((a, b) => b.time - a.time)
+    .slice(0, limit);
+}
+
+/**
+ * Export statistics data as JSON, including the ledger they were derived from
  * @returns {Promise<string>} Promise that resolves with JSON string
  */
 async function exportStatistics() {
-  const stats = await loadStatistics();
-  return JSON.stringify(stats, null, 2);
+  const [events, settings] = await Promise.all([loadLedger(), loadSettings()]);
+  const stats = aggregateEvents(events, Date.now(), settings.dayStartHour);
+  return JSON.stringify({ ...stats, events }, null, 2);
 }
 
 /**
- * Clear all statistics data
+ * Clear all statistics data; pages send the clearStatistics message instead
+ * of calling this, so the ledger is only written by the service worker
  * @returns {Promise} Promise that resolves when statistics are cleared
  */
 async function clearStatistics() {
-  return saveStatistics(getDefaultStatistics());
+  await new Promise(resolve => chrome.storage.sync.remove('statistics', () => resolve()));
+  const write = ledgerWriteQueue.then(() => saveLedger([]));
+  ledgerWriteQueue = write.catch(() => {});
+  return write;
 }
 
 // Export the module's public API
 export {
+  StatisticsEventType,
+  BreakCompliance,
+  MIN_CHECKED_BREAK_SECONDS,
+  recordEvent,
+  migrateLegacyStatistics,
+  aggregateEvents,
+  getComplianceRate,
   loadStatistics,
-  saveStatistics,
-  updateStatistics,
   getTodayStatistics,
   getThisWeekStatistics,
   getDailyStatistics,
+  getRecentSessionStarts,
+  getFocusSinceLongBreak,
+  getFatigueStatistics,
   exportStatistics,
   clearStatistics
 };
@@ -0,0 +1,46 @@
+/**
+ * random.js
+ *
+ * Seedable pseudo-random numbers, so a break schedule can be generated
+ * again exactly from the seed it was made with
+ */
+
+/**
+ * Generate a new seed
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function generateSeed() {
+  return crypto.getRandomValues(new Uint32Array(1))[0];
+}
+
+/**
+ * Create a random number generator from a seed (mulberry32). The same seed
+ * always produces the same sequence, in every browser and in Node.
+ * @param {number} seed - Unsigned 32-bit integer
+ * @returns {Function} Function returning numbers in [0, 1), like Math.random
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Parse a seed typed by a user
+ * @param {string} value - Decimal seed
+ * @returns {number|null} The seed, or null if it is not an unsigned 32-bit integer
+ */
+export function parseSeed(value) {
+  const text = String(value).trim();
+  if (!/^\d+$/.test(text)) {
+    return null;
+  }
+  const seed = Number(text);
+  return seed <= 0xFFFFFFFF ? seed : null;
+}
@@ -0,0 +1,103 @@
+/**
+ * sound-registry.js
+ *
+ * The single list of sounds bundled in the sounds directory. The background,
+ * the offscreen document and the options page all read it, so adding or
+ * removing a sound file only needs a change here.
+ *
+ * Sound settings store the file name of a bundled sound; custom sounds
+ * uploaded by the user are kept apart, see storage/custom-sounds.js.
+ */
+
+/**
+ * Categories the options page groups the sounds by, in display order
+ */
+const SoundCategory = {
+  BELLS: 'bells',
+  TONES: 'tones',
+  MUSICAL: 'musical',
+  POPS: 'pops',
+  INTERFACE: 'interface'
+};
+
+// All bundled sounds come from Mixkit's free sound effects
+const MIXKIT_ATTRIBUTION = {
+  author: 'Mixkit',
+  source: 'https://mixkit.co/free-sound-effects/',
+  license: 'Mixkit Sound Effects Free License',
+  licenseUrl: 'https://mixkit.co/license/#sfxFree'
+};
+
+/**
+ * Bundled sounds; durations are in seconds
+ */
+const BUNDLED_SOUNDS = [
+  { id: 'bell-notification', file: 'mixkit-bell-notification-933.wav', label: 'Bell notification', category: SoundCategory.BELLS, duration: 3.36 },
+  { id: 'doorbell-tone', file: 'mixkit-doorbell-tone-2864.wav', label: 'Doorbell tone', category: SoundCategory.BELLS, duration: 4.36 },
+  { id: 'happy-bells-notification', file: 'mixkit-happy-bells-notification-937.wav', label: 'Happy bells', category: SoundCategory.BELLS, duration: 3.02 },
+  { id: 'clear-announce-tones', file: 'mixkit-clear-announce-tones-2861.wav', label: 'Clear announce tones', category: SoundCategory.TONES, duration: 3.97 },
+  { id: 'confirmation-tone', file: 'mixkit-confirmation-tone-2867.wav', label: 'Confirmation tone', category: SoundCategory.TONES, duration: 1.3 },
+  { id: 'correct-answer-tone', file: 'mixkit-correct-answer-tone-2870.wav', label: 'Correct answer tone', category: SoundCategory.TONES, duration: 1.96 },
+  { id: 'positive-notification', file: 'mixkit-positive-notification-951.wav', label: 'Positive notification', category: SoundCategory.TONES, duration: 2.8 },
+  { id: 'correct-answer-reward', file: 'mixkit-correct-answer-reward-952.wav', label: 'Correct answer reward', category: SoundCategory.MUSICAL, duration: 2.46 },
+  { id: 'guitar-notification-alert', file: 'mixkit-guitar-notification-alert-2320.wav', label: 'Guitar alert', category: SoundCategory.MUSICAL, duration: 1.61 },
+  { id: 'magic-marimba', file: 'mixkit-magic-marimba-2820.wav', label: 'Magic marimba', category: SoundCategory.MUSICAL, duration: 3.34 },
+  { id: 'tile-game-reveal', file: 'mixkit-tile-game-reveal-960.wav', label: 'Tile game reveal', category: SoundCategory.MUSICAL, duration: 2.17 },
+  { id: 'long-pop', file: 'mixkit-long-pop-2358.wav', label: 'Long pop', category: SoundCategory.POPS, duration: 0.48 },
+  { id: 'message-pop-alert', file: 'mixkit-message-pop-alert-2354.mp3', label: 'Message pop', category: SoundCategory.POPS, duration: 1.07 },
+  { id: 'sci-fi-click', file: 'mixkit-sci-fi-click-900.wav', label: 'Sci-fi click', category: SoundCategory.POPS, duration: 0.7 },
+  { id: 'sci-fi-confirmation', file: 'mixkit-sci-fi-confirmation-914.wav', label: 'Sci-fi confirmation', category: SoundCategory.INTERFACE, duration: 1.04 },
+  { id: 'software-interface-back', file: 'mixkit-software-interface-back-2575.wav', label: 'Interface back', category: SoundCategory.INTERFACE, duration: 1.33 },
+  { id: 'software-interface-start', file: 'mixkit-software-interface-start-2574.wav', label: 'Interface start', category: SoundCategory.INTERFACE, duration: 2.35 }
+].map(sound => ({ ...sound, attribution: MIXKIT_ATTRIBUTION }));
+
+// Played when a sound setting does not name a known sound
+const DEFAULT_SOUND_FILE = 'mixkit-message-pop-alert-2354.mp3';
+
+/**
+ * Find a bundled sound by its file name or ID
+ * @param {string} fileOrId - File name or ID of the sound
+ * @returns {Object|null} The sound, or null if it is not bundled
+ */
+function getBundledSound(fileOrId) {
+  return BUNDLED_SOUNDS.find(sound => sound.file === fileOrId || sound.id === fileOrId) || null;
+}
+
+/**
+ * Check if a sound setting names a bundled sound file
+ * @param {string} file - File name
+ * @returns {boolean} True if the file is in the sounds directory
+ */
+function isBundledSound(file) {
+  return BUNDLED_SOUNDS.some(sound => sound.file === file);
+}
+
+/**
+ * Get the path of a bundled sound inside the extension package
+ * @param {Object} sound - Bundled sound
+ * @returns {string} Path for chrome.runtime.getURL()
+ */
+function getBundledSoundPath(sound) {
+  return `sounds/${sound.file}`;
+}
+
+/**
+ * Group the bundled sounds by category, in the order of SoundCategory
+ * @returns {Array<Object>} { category, sounds } objects for the categories that have sounds
+ */
+function getSoundsByCategory() {
+  return Object.values(SoundCategory)
+    .map(category => ({ category, sounds: BUNDLED_SOUNDS.filter(sound => sound.category === category) }))
+    .filter(group => group.sounds.length > 0);
+}
+
+// Export the module's public API
+export {
+  SoundCategory,
+  BUNDLED_SOUNDS,
+  DEFAULT_SOUND_FILE,
+  getBundledSound,
+  isBundledSound,
+  getBundledSoundPath,
+  getSoundsByCategory
+};
@@ -52,21 +52,97 @@ export function formatTime(seconds) {
 /**
  * Get array of dates for the last N days
  * @param {number} n - Number of days to get
+ * @param {number} [dayStartHour=0] - Local hour at which a new day starts
  * @returns {Array<string>} Array of dates in YYYY-MM-DD format
  */
-export function getLastNDays(n) {
+export function getLastNDays(n, dayStartHour = 0) {
   const dates = [];
-  const today = new Date();
+  const today = getStatisticsDay(Date.now(), dayStartHour);
   
   for (let i = 0; i < n; i++) {
     const date = new Date(today);
     date.setDate(today.getDate() - i);
-    dates.push(date.toISOString().split('T')[0]);
+    dates.push(formatDateKey(date));
   }
   
   return dates;
 }
 
+/**
+ * Get the local day a timestamp is counted towards. Days start at
+ * `dayStartHour` local time, so with a start hour of 4, 02:00 still belongs
+ * to the previous day.
+ * @param {number|Date} time - Timestamp in milliseconds or Date
+ * @param {number} [dayStartHour=0] - Local hour at which a new day starts
+ * @returns {Date} Local midnight of the day the timestamp belongs to
+ */
+export function getStatisticsDay(time, dayStartHour = 0) {
+  const date = new Date(time);
+  if (date.getHours() < dayStartHour) {
+    date.setDate(date.getDate() - 1);
+  }
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+/**
+ * Get the time at which the day after the given timestamp starts
+ * @param {number} time - Timestamp in milliseconds
+ * @param {number} [dayStartHour=0] - Local hour at which a new day starts
+ * @returns {number} Start of the next day in milliseconds since epoch
+ */
+export function getNextDayStart(time, dayStartHour = 0) {
+  const date = new Date(time);
+  date.setHours(dayStartHour, 0, 0, 0);
+  if (date.getTime() <= time) {
+    date.setDate(date.getDate() + 1);
+  }
+  return date.getTime();
+}
+
+/**
+ * Get the statistics key (YYYY-MM-DD) of the local day a timestamp belongs to
+ * @param {number|Date} time - Timestamp in milliseconds or Date
+ * @param {number} [dayStartHour=0] - Local hour at which a new day starts
+ * @returns {string} Day key in YYYY-MM-DD format
+ */
+export function getDayKey(time, dayStartHour = 0) {
+  return formatDateKey(getStatisticsDay(time, dayStartHour));
+}
+
+/**
+ * Get the statistics key (YYYY-WXX) of the local week a timestamp belongs to
+ * @param {number|Date} time - Timestamp in milliseconds or Date
+ * @param {number} [dayStartHour=0] - Local hour at which a new day starts
+ * @returns {string} Week identifier in YYYY-WXX format
+ */
+export function getWeekKey(time, dayStartHour = 0) {
+  return getWeekNumber(getStatisticsDay(time, dayStartHour));
+}
+
+/**
+ * Format a date as YYYY-MM-DD using its local calendar date
+ * @param {Date} date - Date to format
+ * @returns {string} Date in YYYY-MM-DD format
+ */
+export function formatDateKey(date) {
+  return [
+    date.getFullYear(),
+    (date.getMonth() + 1).toString().padStart(2, '0'),
+    date.getDate().toString().padStart(2, '0')
+  ].join('-');
+}
+
+/**
+ * Parse a YYYY-MM-DD key as a local date
+ * @param {string} key - Date in YYYY-MM-DD format
+ * @returns {Date} Local midnight of that date
+ */
+export function parseDateKey(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
 /**
  * Calculate remaining time in a period
  * @param {number} startTime - Start timestamp (ms)
@@ -0,0 +1,177 @@
+/**
+ * tone-patterns.js
+ *
+ * Beeps synthesized from a small description instead of an audio file:
+ * a tone of one frequency and waveform, played a number of times with a
+ * gap in between. Users design them in the options page; they are stored
+ * in the settings and chosen like any other sound. The offscreen document
+ * plays them and the options page previews them with the same code.
+ */
+
+/**
+ * Oscillator waveforms a tone can use, see OscillatorNode.type
+ */
+const ToneWaveform = {
+  SINE: 'sine',
+  TRIANGLE: 'triangle',
+  SQUARE: 'square',
+  SAWTOOTH: 'sawtooth'
+};
+
+// Sound settings refer to tone patterns as "tone:<id>"
+const TONE_PATTERN_PREFIX = 'tone:';
+
+// Patterns are kept in chrome.storage.sync, so their number is limited
+const MAX_TONE_PATTERNS = 10;
+const MAX_TONE_PATTERN_NAME_LENGTH = 40;
+
+// Allowed range of each numeric field; durations and gaps are in milliseconds
+const TONE_PATTERN_LIMITS = {
+  frequency: { min: 100, max: 4000 },
+  duration: { min: 20, max: 1000 },
+  gap: { min: 0, max: 1000 },
+  repeats: { min: 1, max: 10 }
+};
+
+// Square and sawtooth waves sound much louder than sine waves at the same gain
+const WAVEFORM_LEVELS = {
+  [ToneWaveform.SINE]: 1,
+  [ToneWaveform.TRIANGLE]: 1,
+  [ToneWaveform.SQUARE]: 0.4,
+  [ToneWaveform.SAWTOOTH]: 0.4
+};
+
+// Every tone ramps in and out over this long to avoid clicks
+const TONE_EDGE_SECONDS = 0.005;
+
+/**
+ * Check if a sound setting refers to a tone pattern
+ * @param {string} sound - Value of a sound setting
+ * @returns {boolean} True for tone patterns
+ */
+function isTonePattern(sound) {
+  return typeof sound === 'string' && sound.startsWith(TONE_PATTERN_PREFIX);
+}
+
+/**
+ * Get the sound setting value that refers to a tone pattern
+ * @param {string} id - Tone pattern ID
+ * @returns {string} Sound setting value
+ */
+function getTonePatternValue(id) {
+  return `${TONE_PATTERN_PREFIX}${id}`;
+}
+
+/**
+ * Get the tone pattern ID from a sound setting value
+ * @param {string} sound - Value of a sound setting
+ * @returns {string|null} Tone pattern ID, or null for other sounds
+ */
+function getTonePatternId(sound) {
+  return isTonePattern(sound) ? sound.slice(TONE_PATTERN_PREFIX.length) : null;
+}
+
+/**
+ * Create a tone pattern with a short double beep
+ * @param {string} name - Pattern name
+ * @returns {Object} New pattern with a unique ID
+ */
+function createTonePattern(name) {
+  return {
+    id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+    name,
+    waveform: ToneWaveform.SINE,
+    frequency: 880,
+    duration: 120,
+    gap: 80,
+    repeats: 2
+  };
+}
+
+/**
+ * Validate a tone pattern
+ * @param {Object} pattern - Pattern to validate
+ * @returns {Object|null} Validated pattern, or null if it cannot be played
+ */
+function validateTonePattern(pattern) {
+  if (!pattern || typeof pattern.id !== 'string' || !pattern.id ||
+      typeof pattern.name !== 'string' || !pattern.name.trim() ||
+      !Object.values(ToneWaveform).includes(pattern.waveform)) {
+    return null;
+  }
+
+  const validated = {
+    id: pattern.id,
+    name: pattern.name.trim().slice(0, MAX_TONE_PATTERN_NAME_LENGTH),
+    waveform: pattern.waveform
+  };
+  for (const [field, { min, max }] of Object.entries(TONE_PATTERN_LIMITS)) {
+    const value = Number(pattern[field]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      return null;
+    }
+    validated[field] = field === 'repeats' ? Math.round(value) : value;
+  }
+  return validated;
+}
+
+/**
+ * Get how long a tone pattern plays
+ * @param {Object} pattern - Validated pattern
+ * @returns {number} Length in seconds
+ */
+function getTonePatternDuration(pattern) {
+  return (pattern.repeats * pattern.duration + (pattern.repeats - 1) * pattern.gap) / 1000;
+}
+
+/**
+ * Schedule the tones of a pattern on an audio context
+ * @param {BaseAudioContext} context - Audio context to play on
+ * @param {AudioNode} destination - Node the tones are connected to
+ * @param {Object} pattern - Validated pattern
+ * @param {number} startTime - Context time of the first tone
+ * @returns {number} Context time at which the last tone ends
+ */
+function scheduleTonePattern(context, destination, pattern, startTime) {
+  const toneSeconds = pattern.duration / 1000;
+  const stepSeconds = (pattern.duration + pattern.gap) / 1000;
+  const edge = Math.min(TONE_EDGE_SECONDS, toneSeconds / 4);
+  const level = WAVEFORM_LEVELS[pattern.waveform];
+
+  for (let i = 0; i < pattern.repeats; i++) {
+    const toneStart = startTime + i * stepSeconds;
+    const toneEnd = toneStart + toneSeconds;
+
+    const oscillator = context.createOscillator();
+    oscillator.type = pattern.waveform;
+    oscillator.frequency.setValueAtTime(pattern.frequency, toneStart);
+
+    const envelope = context.createGain();
+    envelope.gain.setValueAtTime(0, toneStart);
+    envelope.gain.linearRampToValueAtTime(level, toneStart + edge);
+    envelope.gain.setValueAtTime(level, toneEnd - edge);
+    envelope.gain.linearRampToValueAtTime(0, toneEnd);
+
+    oscillator.connect(envelope);
+    envelope.connect(destination);
+    oscillator.start(toneStart);
+    oscillator.stop(toneEnd);
+  }
+
+  return startTime + getTonePatternDuration(pattern);
+}
+
+// Export the module's public API
+export {
+  ToneWaveform,
+  MAX_TONE_PATTERNS,
+  MAX_TONE_PATTERN_NAME_LENGTH,
+  TONE_PATTERN_LIMITS,
+  isTonePattern,
+  getTonePatternValue,
+  getTonePatternId,
+  createTonePattern,
+  validateTonePattern,
+  getTonePatternDuration,
+  scheduleTonePattern
+};